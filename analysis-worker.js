@@ -0,0 +1,20 @@
+// Chart analysis off the main thread. The page posts mono PCM (see GameEngine.runAnalysis()),
+// gets progress messages back and finally the result. Cancelling a job terminates the worker.
+importScripts('scoring.js', 'analysis.js');
+
+self.onmessage = (e) => {
+    const { id, samples, sampleRate, totalMs, settings, seed } = e.data;
+    let last = -1;
+    const onProgress = (value) => {
+        const pct = Math.floor(value * 100);
+        if (pct === last) return;
+        last = pct;
+        self.postMessage({ id, type: 'progress', value });
+    };
+    try {
+        const result = RhythmAnalysis.analyzeSamples(samples, sampleRate, totalMs, settings, seed, onProgress);
+        self.postMessage({ id, type: 'done', result });
+    } catch (err) {
+        self.postMessage({ id, type: 'error', message: err.message });
+    }
+};
@@ -0,0 +1,624 @@
+// Chart generation shared by the game and the chart CLI: onset detection, tempo, holds,
+// difficulties and lane patterns. Works on plain sample arrays, no DOM or Web Audio.
+// Loads as a plain <script> after scoring.js (window.RhythmAnalysis) or through require() in Node.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory(require('./scoring.js'));
+    else root.RhythmAnalysis = factory(root.RhythmScoring);
+})(typeof self !== 'undefined' ? self : this, function (Scoring) {
+    'use strict';
+
+    // Chart file format written by saveChart() and read by loadChartFile()
+    const CHART_FORMAT = 'rhythm-station-chart';
+    // v2: note time is the hit time (v1 stored the spawn time, i.e. hit time - note speed)
+    const CHART_VERSION = 2;
+
+    // Bump when detection changes so cached analyses from older builds are not reused
+    const ANALYSIS_VERSION = 7;
+
+    const NUM_TARGETS = 6;
+
+    // Onset detection: STFT frame/hop in samples (at ~22kHz: 46ms window, 11.6ms hop)
+    const ONSET_FRAME_SIZE = 1024;
+    const ONSET_HOP_SIZE = 256;
+    const ONSET_BAND_EDGES = [0, 150, 400, 1200, 3500, 8000]; // Hz, last band runs to Nyquist
+    const ONSET_DELTA = 0.8; // Peak must clear the local mean by this many standard deviations
+
+    // Hold notes: generated where loudness stays within HOLD_SUSTAIN_DB of the onset peak
+    const HOLD_SUSTAIN_DB = 6;
+    const HOLD_MIN_MS = 400;
+    const HOLD_MAX_MS = 2000;
+    const HOLD_GAP_MS = 150; // Released at least this long before the next note
+
+    // Lane patterns (assignLanes): phrases of one pattern type, reseeded from the chart's seed
+    const PATTERN_TYPES = ['stairs', 'alternate', 'random'];
+    const PATTERN_MAX_REPEAT = 2; // At most this many notes in a row on the same target
+    const PATTERN_WIDE_INTENSITY = 1.6; // Beats this loud jump across the arc
+    const PATTERN_PHRASE_GAP = 1000; // ms of silence that ends a phrase
+
+    // Difficulties: each derives its own chart from the same onsets. minGap thins notes (strongest kept),
+    // keep caps the share of onsets used, simul is the pair chance on normal / loud beats,
+    // holdChance keeps that share of detected holds, spread limits lane jumps (see assignLanes)
+    const DIFFICULTIES = {
+        easy: { label: 'EASY', minGap: 500, keep: 0.5, simul: [0, 0.05], holdChance: 0.5, spread: 2 },
+        normal: { label: 'NORMAL', minGap: 300, keep: 0.75, simul: [0.1, 0.4], holdChance: 0.8, spread: 3 },
+        hard: { label: 'HARD', minGap: 200, keep: 0.9, simul: [0.15, 0.5], holdChance: 1, spread: 5 },
+        expert: { label: 'EXPERT', minGap: 0, keep: 1, simul: [0.25, 0.6], holdChance: 1, spread: 5 }
+    };
+
+    // Small seeded PRNG for chart generation; returns floats in [0, 1)
+    function mulberry32(seed) {
+        let a = seed >>> 0;
+        return () => {
+            a = (a + 0x6D2B79F5) >>> 0;
+            let t = a;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    function hashString(text) {
+        // FNV-1a; seeds lanes from the file fingerprint (so a song keeps its lanes) and names charts
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    async function fingerprint(size, readSlice) {
+        // Cheap content fingerprint: file size plus FNV-1a over the head, middle and tail.
+        // Hashing the whole video would take seconds on phones. readSlice(start, end) returns the bytes.
+        const SLICE = 64 * 1024;
+        const offsets = [0, Math.max(0, Math.floor(size / 2) - SLICE / 2), Math.max(0, size - SLICE)];
+        let hash = 0x811c9dc5;
+        for (const start of offsets) {
+            const bytes = await readSlice(start, start + SLICE);
+            for (let i = 0; i < bytes.length; i++) {
+                hash ^= bytes[i];
+                hash = Math.imul(hash, 0x01000193);
+            }
+        }
+        return size.toString(16) + '-' + (hash >>> 0).toString(16).padStart(8, '0');
+    }
+
+    function analyze(channels, sampleRate, settings, seed, onProgress = null) {
+        // channels: one Float32Array per channel. settings are the sliders' { noteSpeed, minInterval, quantize }.
+        const mono = mixToMono(channels, sampleRate);
+        return analyzeSamples(mono.samples, mono.sampleRate, channels[0].length / sampleRate * 1000, settings, seed, onProgress);
+    }
+
+    function analyzeSamples(samples, sampleRate, totalMs, settings, seed, onProgress = null) {
+        // The pipeline on mixToMono() output; onProgress gets 0-1 as it goes
+        const progress = onProgress || (() => {});
+        const waveform = computeWaveform(samples, sampleRate);
+        const { flux, energy, frameRate, timeOffset } = computeOnsetEnvelope(samples, sampleRate, p => progress(p * 0.9));
+        let onsets = pickOnsets(flux, frameRate, settings.minInterval, timeOffset);
+        detectHolds(onsets, energy, frameRate, timeOffset);
+        const tempo = fitBeatGrid(estimateTempo(flux, frameRate, timeOffset), onsets);
+        if (settings.quantize) onsets = quantizeToGrid(onsets, tempo, settings.quantize);
+        progress(0.95);
+
+        // Every difficulty is cut from the same onsets; lanes are fixed per chart so they export with it
+        const difficulties = {};
+        Object.entries(DIFFICULTIES).forEach(([name, level]) => {
+            const noteChart = buildNoteChart(thinOnsets(onsets, level), totalMs, settings.noteSpeed * 1000, level, seed);
+            assignLanes(noteChart, seed, level.spread);
+            difficulties[name] = buildDifficulty(noteChart, totalMs);
+        });
+        progress(1);
+
+        return { duration: totalMs / 1000, tempo, settings, waveform, seed, difficulties };
+    }
+
+    function buildDifficulty(noteChart, totalMs) {
+        const { totalNotes, perfectScore } = Scoring.computeChartScore(noteChart);
+        return { noteChart, totalNotes, perfectScore, stars: rateChart(noteChart, totalMs) };
+    }
+
+    // --- Onset detection: multi-band spectral flux + adaptive peak picking ---
+
+    function mixToMono(channels, sampleRate) {
+        // Mono, decimated to ~22kHz: content above 11kHz adds little and it halves the FFT work
+        const factor = sampleRate > 32000 ? 2 : 1;
+        const length = Math.floor(channels[0].length / factor);
+        const samples = new Float32Array(length);
+        const scale = 1 / (channels.length * factor);
+        for (let i = 0; i < length; i++) {
+            let sum = 0;
+            for (const data of channels) {
+                for (let k = 0; k < factor; k++) sum += data[i * factor + k];
+            }
+            samples[i] = sum * scale;
+        }
+        return { samples, sampleRate: sampleRate / factor };
+    }
+
+    let fftTwiddle = null; // Twiddle factors of the last FFT size used
+
+    function fft(re, im) {
+        // In-place iterative radix-2 FFT; length must be a power of two
+        const n = re.length;
+        for (let i = 1, j = 0; i < n; i++) {
+            let bit = n >> 1;
+            for (; j & bit; bit >>= 1) j ^= bit;
+            j ^= bit;
+            if (i < j) {
+                [re[i], re[j]] = [re[j], re[i]];
+                [im[i], im[j]] = [im[j], im[i]];
+            }
+        }
+        if (!fftTwiddle || fftTwiddle.n !== n) {
+            const cos = new Float32Array(n / 2), sin = new Float32Array(n / 2);
+            for (let k = 0; k < n / 2; k++) { cos[k] = Math.cos(-2 * Math.PI * k / n); sin[k] = Math.sin(-2 * Math.PI * k / n); }
+            fftTwiddle = { n, cos, sin };
+        }
+        const { cos, sin } = fftTwiddle;
+        for (let size = 2; size <= n; size <<= 1) {
+            const half = size >> 1;
+            const stride = n / size;
+            for (let start = 0; start < n; start += size) {
+                for (let k = 0; k < half; k++) {
+                    const wr = cos[k * stride], wi = sin[k * stride];
+                    const a = start + k, b = a + half;
+                    const tr = re[b] * wr - im[b] * wi;
+                    const ti = re[b] * wi + im[b] * wr;
+                    re[b] = re[a] - tr; im[b] = im[a] - ti;
+                    re[a] += tr; im[a] += ti;
+                }
+            }
+        }
+    }
+
+    function computeOnsetEnvelope(samples, sampleRate, onProgress = null) {
+        const N = ONSET_FRAME_SIZE;
+        const bins = N / 2;
+        const frameCount = Math.max(0, Math.floor((samples.length - N) / ONSET_HOP_SIZE) + 1);
+
+        const hann = new Float32Array(N);
+        for (let i = 0; i < N; i++) hann[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (N - 1));
+
+        // Bin -> band lookup (DC is skipped)
+        const binHz = sampleRate / N;
+        const bandOf = new Int8Array(bins).fill(-1);
+        for (let k = 1; k < bins; k++) {
+            let b = ONSET_BAND_EDGES.length - 1;
+            while (b > 0 && k * binHz < ONSET_BAND_EDGES[b]) b--;
+            bandOf[k] = b;
+        }
+
+        const bandFlux = ONSET_BAND_EDGES.map(() => new Float32Array(frameCount));
+        const loudness = new Float32Array(frameCount);
+        const prevMag = new Float32Array(bins);
+        const re = new Float32Array(N), im = new Float32Array(N);
+
+        for (let f = 0; f < frameCount; f++) {
+            if (onProgress && f % 256 === 0) onProgress(f / frameCount); // The FFTs are most of the work
+            const offset = f * ONSET_HOP_SIZE;
+            let power = 0;
+            for (let i = 0; i < N; i++) {
+                re[i] = samples[offset + i] * hann[i]; im[i] = 0;
+                power += re[i] * re[i];
+            }
+            loudness[f] = 10 * Math.log10(power / N + 1e-10);
+            fft(re, im);
+            for (let k = 1; k < bins; k++) {
+                // Log compression so quiet melodic onsets register next to loud drums
+                const mag = Math.log1p(100 * Math.sqrt(re[k] * re[k] + im[k] * im[k]));
+                const rise = mag - prevMag[k];
+                if (rise > 0 && f > 0) bandFlux[bandOf[k]][f] += rise;
+                prevMag[k] = mag;
+            }
+        }
+
+        // Each band is normalised by its mean so the kick drum does not drown out the rest
+        const flux = new Float32Array(frameCount);
+        bandFlux.forEach(band => {
+            let mean = 0;
+            for (let f = 0; f < frameCount; f++) mean += band[f];
+            mean /= frameCount || 1;
+            if (mean <= 0) return;
+            for (let f = 0; f < frameCount; f++) flux[f] += band[f] / mean;
+        });
+
+        // Smoothed loudness (dB) so drum hits under a sustained note do not break it up
+        const energy = new Float32Array(frameCount);
+        const SMOOTH = 2;
+        for (let f = 0; f < frameCount; f++) {
+            let sum = 0, count = 0;
+            for (let k = Math.max(0, f - SMOOTH); k <= Math.min(frameCount - 1, f + SMOOTH); k++) { sum += loudness[k]; count++; }
+            energy[f] = sum / count;
+        }
+
+        // timeOffset maps frame index to the time at the centre of its window
+        return { flux, energy, frameRate: sampleRate / ONSET_HOP_SIZE, timeOffset: (N / 2) / sampleRate * 1000 };
+    }
+
+    function pickOnsets(flux, frameRate, minInterval, timeOffset = 0) {
+        const n = flux.length;
+        const frames = ms => Math.max(1, Math.round(ms * frameRate / 1000));
+        const maxRadius = frames(35);
+        const avgBefore = frames(120), avgAfter = frames(80);
+
+        let mean = 0, sq = 0;
+        for (let i = 0; i < n; i++) { mean += flux[i]; sq += flux[i] * flux[i]; }
+        mean /= n || 1;
+        const std = Math.sqrt(Math.max(0, sq / (n || 1) - mean * mean));
+
+        // Prefix sums for the moving average threshold
+        const prefix = new Float64Array(n + 1);
+        for (let i = 0; i < n; i++) prefix[i + 1] = prefix[i] + flux[i];
+
+        const candidates = [];
+        for (let i = 1; i < n - 1; i++) {
+            const v = flux[i];
+            let isPeak = true;
+            for (let k = Math.max(0, i - maxRadius); k <= Math.min(n - 1, i + maxRadius); k++) {
+                if (flux[k] > v) { isPeak = false; break; }
+            }
+            if (!isPeak || v === flux[i - 1]) continue;
+
+            const lo = Math.max(0, i - avgBefore), hi = Math.min(n, i + avgAfter + 1);
+            const localMean = (prefix[hi] - prefix[lo]) / (hi - lo);
+            if (v < localMean + ONSET_DELTA * std) continue;
+            candidates.push({ time: i * 1000 / frameRate + timeOffset, strength: v - localMean });
+        }
+
+        // Strongest onsets claim their slot first, then weaker ones fill the gaps
+        const accepted = [];
+        candidates.slice().sort((a, b) => b.strength - a.strength).forEach(c => {
+            if (accepted.every(o => Math.abs(o.time - c.time) >= minInterval)) accepted.push(c);
+        });
+
+        // Intensity keeps the old 0.8-1.8 range: the top fifth of onsets go above 1.6
+        const ranked = accepted.slice().sort((a, b) => a.strength - b.strength);
+        ranked.forEach((o, i) => { o.intensity = 0.8 + (ranked.length > 1 ? i / (ranked.length - 1) : 0.5); });
+
+        return accepted.sort((a, b) => a.time - b.time).map(o => ({ time: o.time, intensity: o.intensity }));
+    }
+
+    function estimateTempo(flux, frameRate, timeOffset = 0) {
+        const n = flux.length;
+        if (n < frameRate * 4) return null; // Too short to say anything
+
+        let mean = 0;
+        for (let i = 0; i < n; i++) mean += flux[i];
+        mean /= n;
+        const x = new Float32Array(n);
+        for (let i = 0; i < n; i++) x[i] = flux[i] - mean;
+
+        // Autocorrelation over 60-200 BPM, weighted towards ~120 BPM to avoid octave errors
+        const minLag = Math.floor(frameRate * 60 / 200);
+        const maxLag = Math.ceil(frameRate * 60 / 60);
+        const scores = new Float32Array(maxLag + 2);
+        let bestLag = -1, bestScore = -Infinity;
+        for (let lag = minLag; lag <= maxLag + 1; lag++) {
+            let acc = 0;
+            for (let i = 0; i + lag < n; i++) acc += x[i] * x[i + lag];
+            const bpm = 60 * frameRate / lag;
+            const weight = Math.exp(-0.5 * Math.pow(Math.log2(bpm / 120) / 0.5, 2));
+            scores[lag] = acc / (n - lag) * weight;
+            if (lag <= maxLag && scores[lag] > bestScore) { bestScore = scores[lag]; bestLag = lag; }
+        }
+        if (bestLag < 0 || bestScore <= 0) return null;
+
+        // Parabolic interpolation for sub-frame lag precision
+        let lag = bestLag;
+        if (bestLag > minLag) {
+            const a = scores[bestLag - 1], b = scores[bestLag], c = scores[bestLag + 1];
+            const denom = a - 2 * b + c;
+            if (denom < 0) lag += 0.5 * (a - c) / denom;
+        }
+        const bpm = 60 * frameRate / lag;
+
+        // Beat phase: the offset whose comb of beats collects the most flux
+        let bestPhase = 0, bestSum = -Infinity;
+        for (let phase = 0; phase < lag; phase++) {
+            let sum = 0;
+            for (let t = phase; t < n; t += lag) sum += flux[Math.round(t)] || 0;
+            if (sum > bestSum) { bestSum = sum; bestPhase = phase; }
+        }
+
+        return { bpm, offset: bestPhase * 1000 / frameRate + timeOffset };
+    }
+
+    function fitBeatGrid(tempo, onsets) {
+        // Refine period and phase by least squares over onsets that sit close to a grid line.
+        // A tenth of a BPM off drifts by tens of ms over a song, which snapping would expose.
+        if (!tempo || onsets.length < 8) return tempo;
+        let { offset } = tempo;
+        let period = 60000 / tempo.bpm;
+        for (let pass = 0; pass < 3; pass++) {
+            let n = 0, sk = 0, st = 0, skk = 0, skt = 0;
+            onsets.forEach(o => {
+                const k = Math.round((o.time - offset) / period);
+                if (Math.abs(o.time - (offset + k * period)) > period / 6) return;
+                n++; sk += k; st += o.time; skk += k * k; skt += k * o.time;
+            });
+            const denom = n * skk - sk * sk;
+            if (n < 8 || denom === 0) break;
+            period = (n * skt - sk * st) / denom;
+            offset = (st - period * sk) / n;
+        }
+        offset = ((offset % period) + period) % period;
+        return { bpm: 60000 / period, offset };
+    }
+
+    function detectHolds(onsets, energy, frameRate, timeOffset = 0) {
+        const toFrame = ms => Math.round((ms - timeOffset) * frameRate / 1000);
+        const peakFrames = Math.max(1, Math.round(60 * frameRate / 1000));
+        onsets.forEach((o, i) => {
+            const start = Math.max(0, toFrame(o.time));
+            let peak = -Infinity;
+            for (let f = start; f < Math.min(energy.length, start + peakFrames); f++) peak = Math.max(peak, energy[f]);
+
+            const next = i + 1 < onsets.length ? onsets[i + 1].time : Infinity;
+            const limit = Math.min(energy.length, toFrame(next - HOLD_GAP_MS), toFrame(o.time + HOLD_MAX_MS));
+            let f = start + peakFrames;
+            while (f < limit && energy[f] >= peak - HOLD_SUSTAIN_DB) f++;
+
+            const length = (f - start) * 1000 / frameRate;
+            o.hold = length >= HOLD_MIN_MS ? length : 0;
+        });
+        return onsets;
+    }
+
+    function quantizeToGrid(onsets, tempo, division) {
+        if (!tempo || !division) return onsets;
+        // 1/4 snaps to every beat, 1/8 to half beats, 1/16 to quarter beats
+        const step = (60000 / tempo.bpm) * (4 / division);
+        const slots = new Map();
+        onsets.forEach(o => {
+            const slot = Math.round((o.time - tempo.offset) / step);
+            const prev = slots.get(slot);
+            if (!prev || o.intensity > prev.intensity) {
+                const time = tempo.offset + slot * step;
+                // Hold ends snap too, but never collapse to nothing
+                const hold = o.hold ? Math.max(step, Math.round((o.time + o.hold - time) / step) * step) : 0;
+                slots.set(slot, { ...o, time, hold });
+            }
+        });
+        return [...slots.values()].filter(o => o.time >= 0).sort((a, b) => a.time - b.time);
+    }
+
+    function computeWaveform(samples, sampleRate) {
+        // Peak amplitude per 10ms bucket, scaled to 0-255 so it stays small in the cache
+        const rate = 100;
+        const bucket = Math.max(1, Math.floor(sampleRate / rate));
+        const peaks = new Array(Math.ceil(samples.length / bucket));
+        for (let b = 0; b < peaks.length; b++) {
+            let peak = 0;
+            const end = Math.min(samples.length, (b + 1) * bucket);
+            for (let i = b * bucket; i < end; i++) {
+                const v = Math.abs(samples[i]);
+                if (v > peak) peak = v;
+            }
+            peaks[b] = Math.min(255, Math.round(peak * 255));
+        }
+        return { rate: sampleRate / bucket, peaks };
+    }
+
+    // --- Charts: difficulties, lanes and the chart file ---
+
+    function thinOnsets(onsets, level) {
+        // Strongest onsets first, each needing level.minGap of space, until level.keep of them are in
+        const limit = Math.round(onsets.length * level.keep);
+        const kept = [];
+        const byStrength = onsets.slice().sort((a, b) => b.intensity - a.intensity);
+        for (const o of byStrength) {
+            if (kept.length >= limit) break;
+            if (kept.some(k => Math.abs(k.time - o.time) < level.minGap)) continue;
+            kept.push(o);
+        }
+        return kept.sort((a, b) => a.time - b.time);
+    }
+
+    function buildNoteChart(onsets, totalMs, noteDuration, level = DIFFICULTIES.normal, seed = 0) {
+        const rng = mulberry32(seed);
+        // Notes need a full approach before they land, and must land before the video ends
+        return onsets
+            .filter(o => o.time >= noteDuration && o.time < totalMs - 500)
+            .map(o => {
+                const simulChance = o.intensity > PATTERN_WIDE_INTENSITY ? level.simul[1] : level.simul[0];
+                const isSimul = rng() < simulChance;
+                const keepHold = rng() < level.holdChance;
+                // Two-handed holds are left to hand-made charts
+                const hold = isSimul || !keepHold ? 0 : Math.min(o.hold || 0, totalMs - 500 - o.time);
+                return { time: o.time, intensity: o.intensity, isSimul, hold: Math.max(0, Math.round(hold)) };
+            });
+    }
+
+    function assignLanes(noteChart, seed, spread = NUM_TARGETS - 1, numTargets = NUM_TARGETS) {
+        // Deterministic lane patterns: the same seed always gives the same chart, so retries compare.
+        // Beats that already have targets (hand-made or edited) are kept and only steer what follows.
+        // spread caps the jump between consecutive notes and the width of a pair.
+        const rng = mulberry32(seed);
+        const n = numTargets;
+        const half = n / 2;
+        const pick = (list) => list[Math.floor(rng() * list.length)];
+        const history = []; // Targets of the previous beats, newest last
+        let pattern = null;
+
+        const repeatsTooOften = (lane) => history.length >= PATTERN_MAX_REPEAT &&
+            history.slice(-PATTERN_MAX_REPEAT).every(t => t.includes(lane));
+
+        const startPattern = (prevLane) => {
+            const type = pick(PATTERN_TYPES);
+            const length = 4 + Math.floor(rng() * 5);
+            const dir = prevLane === undefined ? (rng() < 0.5 ? 1 : -1) : (prevLane < half ? 1 : -1);
+            return { type, length, dir, left: prevLane === undefined ? rng() < 0.5 : prevLane >= half };
+        };
+
+        const singleLane = (beat, prevLane) => {
+            if (!pattern || pattern.length <= 0) pattern = startPattern(prevLane);
+            pattern.length--;
+            const wide = beat.intensity >= PATTERN_WIDE_INTENSITY && prevLane !== undefined;
+            let lane;
+
+            if (pattern.type === 'stairs' && prevLane !== undefined && !wide) {
+                // Walk one target at a time, turning around at either end
+                if (prevLane + pattern.dir < 0 || prevLane + pattern.dir >= n) pattern.dir = -pattern.dir;
+                lane = prevLane + pattern.dir;
+            } else if (pattern.type === 'alternate') {
+                // Left hand takes the lower half of the targets, right hand the upper half
+                const side = pattern.left ? [...Array(half).keys()] : [...Array(half).keys()].map(i => i + half);
+                pattern.left = !pattern.left;
+                lane = pick(wide ? side.filter(l => Math.abs(l - prevLane) >= half) : side.filter(l => l !== prevLane));
+            } else {
+                const far = wide ? [...Array(n).keys()].filter(l => Math.abs(l - prevLane) >= half) : [];
+                // Repeats are allowed here; repeatsTooOften() caps how long they run
+                lane = far.length > 0 ? pick(far) : Math.floor(rng() * n);
+            }
+            if (lane === undefined) lane = Math.floor(rng() * n);
+            if (prevLane !== undefined && Math.abs(lane - prevLane) > spread) {
+                lane = prevLane + Math.sign(lane - prevLane) * spread;
+            }
+
+            if (repeatsTooOften(lane)) {
+                const allowed = [...Array(n).keys()].filter(l => !repeatsTooOften(l));
+                const near = allowed.filter(l => prevLane === undefined || Math.abs(l - prevLane) <= spread);
+                lane = pick(near.length > 0 ? near : allowed);
+                pattern = null; // The walk was broken; begin a fresh one from here
+            }
+            return [lane];
+        };
+
+        const pairLanes = (beat, prevLane) => {
+            // Mirrored around the centre; loud beats push both hands outwards
+            let options = [...Array(half).keys()].filter(l => n - 1 - 2 * l <= spread);
+            if (options.length === 0) options = [half - 1];
+            const isFree = l => !repeatsTooOften(l) && !repeatsTooOften(n - 1 - l);
+            const wide = beat.intensity >= PATTERN_WIDE_INTENSITY ? options.slice(0, Math.max(1, options.length - 1)) : options;
+            let free = wide.filter(isFree);
+            if (free.length === 0) free = options.filter(isFree);
+            // Narrow spreads leave one pair; once it has run PATTERN_MAX_REPEAT times, play a single note instead
+            if (free.length === 0) return singleLane(beat, prevLane);
+            const lane = pick(free);
+            return [lane, n - 1 - lane];
+        };
+
+        let lastTime = -Infinity;
+        noteChart.forEach(beat => {
+            if (beat.time - lastTime > PATTERN_PHRASE_GAP) pattern = null; // A pause starts a new phrase
+            lastTime = beat.time;
+            if (!beat.targets) {
+                const prev = history[history.length - 1];
+                const prevLane = prev && prev[prev.length - 1];
+                beat.targets = beat.isSimul ? pairLanes(beat, prevLane) : singleLane(beat, prevLane);
+            } else {
+                pattern = null;
+            }
+            beat.isSimul = beat.targets.length > 1;
+            history.push(beat.targets);
+        });
+        return noteChart;
+    }
+
+    function rateChart(noteChart, totalMs) {
+        // 1-10 stars from average and peak notes per second, plus how often both hands are needed
+        if (noteChart.length === 0) return 0;
+        const notes = noteChart.reduce((acc, b) => acc + b.targets.length, 0);
+        const span = Math.max(10000, Math.min(totalMs || Infinity, noteChart[noteChart.length - 1].time) - noteChart[0].time);
+        const avg = notes / (span / 1000);
+        let peak = 0;
+        for (let i = 0, j = 0, inWindow = 0; i < noteChart.length; i++) {
+            inWindow += noteChart[i].targets.length;
+            while (noteChart[i].time - noteChart[j].time > 5000) inWindow -= noteChart[j++].targets.length;
+            peak = Math.max(peak, inWindow / 5);
+        }
+        const pairs = noteChart.filter(b => b.targets.length > 1).length / noteChart.length;
+        return Math.max(1, Math.min(10, Math.round(0.5 + avg * 0.9 + peak * 0.35 + pairs * 4)));
+    }
+
+    function buildChartDoc({ audio, tempo, settings, difficulty, seed, noteChart }) {
+        return {
+            format: CHART_FORMAT,
+            version: CHART_VERSION,
+            createdAt: new Date().toISOString(),
+            audio,
+            tempo: tempo || null,
+            settings,
+            difficulty,
+            seed,
+            notes: noteChart.map(b => ({
+                time: Math.round(b.time * 1000) / 1000,
+                intensity: Math.round(b.intensity * 1000) / 1000,
+                simultaneous: !!b.isSimul,
+                targets: b.targets,
+                ...(b.hold ? { hold: Math.round(b.hold) } : {})
+            }))
+        };
+    }
+
+    function parseChart(doc, numTargets = NUM_TARGETS) {
+        if (!doc || doc.format !== CHART_FORMAT) throw new Error("not a Rhythm Station chart");
+        if (!Number.isInteger(doc.version) || doc.version < 1 || doc.version > CHART_VERSION) {
+            throw new Error(`unsupported chart version ${doc.version}`);
+        }
+        if (!Array.isArray(doc.notes)) throw new Error("chart has no notes");
+
+        // v1 charts stored spawn times; notes land one note-duration later
+        const settings = doc.settings || {};
+        const timeShift = doc.version === 1 ? (Number.isFinite(settings.noteSpeed) ? settings.noteSpeed : 1.0) * 1000 : 0;
+
+        const chart = doc.notes.map((n, i) => {
+            if (!n || !Number.isFinite(n.time) || n.time < 0) throw new Error(`note #${i} has no valid time`);
+            const targets = n.targets;
+            if (targets !== undefined && (!Array.isArray(targets) || targets.length === 0 ||
+                targets.some(t => !Number.isInteger(t) || t < 0 || t >= numTargets))) {
+                throw new Error(`note #${i} has invalid targets`);
+            }
+            if (n.hold !== undefined && (!Number.isFinite(n.hold) || n.hold < 0)) {
+                throw new Error(`note #${i} has an invalid hold`);
+            }
+            return {
+                time: n.time + timeShift,
+                intensity: Number.isFinite(n.intensity) ? n.intensity : 1.0,
+                isSimul: targets ? targets.length > 1 : !!n.simultaneous,
+                targets,
+                hold: n.hold || 0
+            };
+        }).sort((a, b) => a.time - b.time);
+
+        // Hand-written charts may leave lanes out; fill them from the chart's seed
+        return assignLanes(chart, getChartDocSeed(doc), numTargets - 1, numTargets);
+    }
+
+    function getChartDocSeed(doc) {
+        if (Number.isInteger(doc.seed) && doc.seed >= 0) return doc.seed;
+        const audio = doc.audio || {};
+        return hashString(audio.fingerprint || audio.fileName || '');
+    }
+
+    return {
+        CHART_FORMAT,
+        CHART_VERSION,
+        ANALYSIS_VERSION,
+        NUM_TARGETS,
+        PATTERN_MAX_REPEAT,
+        DIFFICULTIES,
+        mulberry32,
+        hashString,
+        fingerprint,
+        analyze,
+        analyzeSamples,
+        buildDifficulty,
+        mixToMono,
+        fft,
+        computeOnsetEnvelope,
+        pickOnsets,
+        estimateTempo,
+        fitBeatGrid,
+        detectHolds,
+        quantizeToGrid,
+        computeWaveform,
+        thinOnsets,
+        buildNoteChart,
+        assignLanes,
+        rateChart,
+        buildChartDoc,
+        parseChart,
+        getChartDocSeed
+    };
+});
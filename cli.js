@@ -0,0 +1,206 @@
+#!/usr/bin/env node
+// Headless chart generator: WAV or raw PCM in, Rhythm Station chart JSON out.
+// Runs the same analysis.js as the game, so a chart made here loads with LOAD CHART.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const RhythmAnalysis = require('./analysis.js');
+
+const USAGE = `Usage: node cli.js [options] <input...>
+
+Generates a chart for each WAV (or raw PCM) input, with the same parameters as the song select sliders.
+
+Options:
+  --speed <sec>         Note speed, 0.5-2.0 (default 1.0)
+  --interval <ms>       Minimum interval between notes, 50-350 (default 250)
+  --snap <division>     Snap to beat: 0 (off), 4, 8 or 16 (default 0)
+  --difficulty <name>   easy, normal, hard, expert or all (default normal)
+  --seed <n>            Lane seed (default: from the file, like the game)
+  --raw                 Inputs are headerless PCM instead of WAV
+  --rate <Hz>           Raw PCM sample rate (default 44100)
+  --channels <n>        Raw PCM channel count (default 2)
+  --format <fmt>        Raw PCM sample format: s16le, s24le, s32le or f32le (default s16le)
+  -o, --out <file>      Output file for a single chart, or - for stdout
+  --out-dir <dir>       Output directory (default: next to each input)
+  --no-date             Leave out createdAt, so the same input always gives the same file
+  -h, --help            Show this help`;
+
+const RAW_FORMATS = {
+    s16le: { bytes: 2, read: (buf, i) => buf.readInt16LE(i) / 32768 },
+    s24le: { bytes: 3, read: (buf, i) => buf.readIntLE(i, 3) / 8388608 },
+    s32le: { bytes: 4, read: (buf, i) => buf.readInt32LE(i) / 2147483648 },
+    f32le: { bytes: 4, read: (buf, i) => buf.readFloatLE(i) }
+};
+
+function parseArgs(argv) {
+    const opts = {
+        settings: { noteSpeed: 1.0, minInterval: 250, quantize: 0 },
+        difficulty: 'normal',
+        seed: null,
+        raw: false,
+        rate: 44100,
+        channels: 2,
+        format: 's16le',
+        out: null,
+        outDir: null,
+        date: true,
+        inputs: []
+    };
+    const number = (name, value, min, max) => {
+        const n = Number(value);
+        if (value === undefined || !Number.isFinite(n) || n < min || n > max) {
+            throw new Error(`${name} must be a number from ${min} to ${max}`);
+        }
+        return n;
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => argv[++i];
+        switch (arg) {
+            case '--speed': opts.settings.noteSpeed = number(arg, next(), 0.5, 2.0); break;
+            case '--interval': opts.settings.minInterval = number(arg, next(), 50, 350); break;
+            case '--snap':
+                opts.settings.quantize = Number(next());
+                if (![0, 4, 8, 16].includes(opts.settings.quantize)) throw new Error("--snap must be 0, 4, 8 or 16");
+                break;
+            case '--difficulty':
+                opts.difficulty = next();
+                if (opts.difficulty !== 'all' && !RhythmAnalysis.DIFFICULTIES[opts.difficulty]) {
+                    throw new Error(`unknown difficulty "${opts.difficulty}"`);
+                }
+                break;
+            case '--seed': opts.seed = number(arg, next(), 0, 0xffffffff) >>> 0; break;
+            case '--raw': opts.raw = true; break;
+            case '--rate': opts.rate = number(arg, next(), 1000, 384000); break;
+            case '--channels': opts.channels = number(arg, next(), 1, 32); break;
+            case '--format':
+                opts.format = next();
+                if (!RAW_FORMATS[opts.format]) throw new Error(`unknown PCM format "${opts.format}"`);
+                break;
+            case '-o': case '--out': opts.out = next(); break;
+            case '--out-dir': opts.outDir = next(); break;
+            case '--no-date': opts.date = false; break;
+            case '-h': case '--help': opts.help = true; break;
+            default:
+                if (arg.startsWith('-') && arg !== '-') throw new Error(`unknown option ${arg}`);
+                opts.inputs.push(arg);
+        }
+    }
+    if (opts.out && (opts.inputs.length > 1 || opts.difficulty === 'all')) {
+        throw new Error("--out takes a single chart; use --out-dir for several");
+    }
+    return opts;
+}
+
+function readWav(buf) {
+    if (buf.length < 12 || buf.toString('ascii', 0, 4) !== 'RIFF' || buf.toString('ascii', 8, 12) !== 'WAVE') {
+        throw new Error("not a WAV file (use --raw for headerless PCM)");
+    }
+    let fmt = null, data = null;
+    for (let pos = 12; pos + 8 <= buf.length;) {
+        const id = buf.toString('ascii', pos, pos + 4);
+        const size = buf.readUInt32LE(pos + 4);
+        const body = buf.subarray(pos + 8, Math.min(buf.length, pos + 8 + size));
+        if (id === 'fmt ') {
+            let format = body.readUInt16LE(0);
+            if (format === 0xfffe && body.length >= 26) format = body.readUInt16LE(24); // WAVE_FORMAT_EXTENSIBLE
+            fmt = { format, channels: body.readUInt16LE(2), sampleRate: body.readUInt32LE(4), bits: body.readUInt16LE(14) };
+        } else if (id === 'data') {
+            data = body;
+        }
+        pos += 8 + size + (size & 1); // Chunks are padded to an even size
+    }
+    if (!fmt || !data) throw new Error("WAV file has no fmt or data chunk");
+
+    let sample;
+    if (fmt.format === 1 && fmt.bits === 8) sample = { bytes: 1, read: (b, i) => (b[i] - 128) / 128 };
+    else if (fmt.format === 1 && fmt.bits === 16) sample = RAW_FORMATS.s16le;
+    else if (fmt.format === 1 && fmt.bits === 24) sample = RAW_FORMATS.s24le;
+    else if (fmt.format === 1 && fmt.bits === 32) sample = RAW_FORMATS.s32le;
+    else if (fmt.format === 3 && fmt.bits === 32) sample = RAW_FORMATS.f32le;
+    else if (fmt.format === 3 && fmt.bits === 64) sample = { bytes: 8, read: (b, i) => b.readDoubleLE(i) };
+    else throw new Error(`unsupported WAV encoding (format ${fmt.format}, ${fmt.bits}-bit)`);
+    return decodePcm(data, fmt.channels, fmt.sampleRate, sample);
+}
+
+function decodePcm(data, channelCount, sampleRate, sample) {
+    const frameBytes = sample.bytes * channelCount;
+    const length = Math.floor(data.length / frameBytes);
+    if (length === 0) throw new Error("no audio samples");
+    const channels = [];
+    for (let c = 0; c < channelCount; c++) {
+        const out = new Float32Array(length);
+        for (let i = 0; i < length; i++) out[i] = sample.read(data, i * frameBytes + c * sample.bytes);
+        channels.push(out);
+    }
+    return { channels, sampleRate };
+}
+
+async function generate(file, opts) {
+    const buf = fs.readFileSync(file);
+    const { channels, sampleRate } = opts.raw
+        ? decodePcm(buf, opts.channels, opts.rate, RAW_FORMATS[opts.format])
+        : readWav(buf);
+
+    // Same fingerprint and lane seed the game computes when this file is opened there
+    const fingerprint = await RhythmAnalysis.fingerprint(buf.length, (start, end) => buf.subarray(start, end));
+    const seed = opts.seed !== null ? opts.seed : RhythmAnalysis.hashString(fingerprint);
+    const result = RhythmAnalysis.analyze(channels, sampleRate, opts.settings, seed);
+
+    const names = opts.difficulty === 'all' ? Object.keys(RhythmAnalysis.DIFFICULTIES) : [opts.difficulty];
+    return names.map(difficulty => {
+        const doc = RhythmAnalysis.buildChartDoc({
+            audio: { fileName: path.basename(file), fingerprint, duration: result.duration },
+            tempo: result.tempo,
+            settings: opts.settings,
+            difficulty,
+            seed,
+            noteChart: result.difficulties[difficulty].noteChart
+        });
+        if (!opts.date) delete doc.createdAt;
+        return { difficulty, doc, info: result.difficulties[difficulty], tempo: result.tempo };
+    });
+}
+
+function outputPath(file, difficulty, opts) {
+    if (opts.out) return opts.out;
+    const base = path.basename(file).replace(/\.[^.]+$/, '');
+    const name = opts.difficulty === 'all' ? `${base}.${difficulty}.chart.json` : `${base}.chart.json`;
+    return path.join(opts.outDir || path.dirname(file), name);
+}
+
+async function main() {
+    let opts;
+    try {
+        opts = parseArgs(process.argv.slice(2));
+    } catch (e) {
+        console.error(`Error: ${e.message}\n\n${USAGE}`);
+        process.exit(2);
+    }
+    if (opts.help || opts.inputs.length === 0) {
+        console.log(USAGE);
+        process.exit(opts.help ? 0 : 2);
+    }
+    if (opts.outDir) fs.mkdirSync(opts.outDir, { recursive: true });
+
+    // Each input stands alone, so one bad file does not stop a batch
+    for (const file of opts.inputs) {
+        try {
+            for (const { difficulty, doc, info, tempo } of await generate(file, opts)) {
+                const target = outputPath(file, difficulty, opts);
+                const json = JSON.stringify(doc);
+                if (target === '-') process.stdout.write(json + '\n');
+                else fs.writeFileSync(target, json);
+                const bpm = tempo ? `${Math.round(tempo.bpm)} BPM` : 'no tempo';
+                console.error(`${file} -> ${target === '-' ? 'stdout' : target} (${difficulty}, ${info.totalNotes} notes, ★${info.stars}, ${bpm})`);
+            }
+        } catch (e) {
+            console.error(`${file}: ${e.message}`);
+            process.exitCode = 1;
+        }
+    }
+}
+
+main();
@@ -3,6 +3,800 @@ window.onerror = function (msg, url, line, col, error) {
     return false;
 };
 
+// Chart generation and scoring rules live in analysis.js and scoring.js, shared with the Node CLI (cli.js)
+const { ANALYSIS_VERSION, NUM_TARGETS, DIFFICULTIES, mulberry32, hashString } = RhythmAnalysis;
+const { JUDGE_PRESETS, JUDGE_WINDOWS, HOLD_TICK_INTERVAL } = RhythmScoring;
+
+// HP gauges: HP change per judgment out of 100. A gauge that can fail ends the run at 0 HP.
+const GAUGE_TYPES = {
+    normal: { label: 'NORMAL', canFail: true, hp: { PERFECT: 1, GREAT: 0, GOOD: -2, MISS: -10 } },
+    nofail: { label: 'NO-FAIL', canFail: false, hp: { PERFECT: 1, GREAT: 0, GOOD: -2, MISS: -10 } },
+    hard: { label: 'HARD', canFail: true, hp: { PERFECT: 0.5, GREAT: 0, GOOD: -5, MISS: -20 } },
+    sudden: { label: 'SUDDEN DEATH', canFail: true, hp: { PERFECT: 0, GREAT: 0, GOOD: 0, MISS: -100 } }
+};
+const HP_DANGER = 30;
+
+// Gameplay modifiers: change how a run plays without touching the chart
+const DEFAULT_MODIFIERS = { lanes: 'off', hidden: false, sudden: false, speed: 'constant' };
+const MODIFIER_LABELS = {
+    lanes: { mirror: 'MIRROR', shuffle: 'SHUFFLE' },
+    speed: { ramp: 'RAMP UP', wave: 'WAVE', shift: 'SPEED SHIFT' }
+};
+const HIDDEN_FADE = [0.5, 0.75]; // Note progress over which HIDDEN fades notes out
+const SUDDEN_FADE = [0.4, 0.55]; // ... and SUDDEN fades them in
+
+// User settings (localStorage)
+const SETTINGS_KEY = 'rhythm-station-settings';
+const DEFAULT_KEY_BINDINGS = ['KeyS', 'KeyD', 'KeyF', 'KeyJ', 'KeyK', 'KeyL'];
+const RESERVED_KEYS = ['Space', 'Escape']; // Pause
+
+// Gamepad (standard mapping button indices); a target fires on any of its buttons
+const DEFAULT_PAD_BINDINGS = [[14, 6], [12, 4], [15], [2], [3, 5], [1, 7]];
+const PAD_BUTTON_NAMES = ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'SELECT', 'START', 'L3', 'R3', '↑', '↓', '←', '→', 'HOME'];
+const PAD_CONFIRM = 0, PAD_BACK = 1, PAD_START = 9;
+const PAD_UP = 12, PAD_DOWN = 13, PAD_LEFT = 14, PAD_RIGHT = 15;
+const PAD_BACK_BUTTONS = { 'song-select': 'back-to-menu', settings: 'settings-back-btn', calibration: 'calib-back-btn', history: 'history-back-btn', result: 'quit-btn' };
+
+// Latency offsets (ms, positive = that path runs late) and the tap-along calibration
+const INPUT_OFFSET_RANGE = [-200, 500];
+const VISUAL_OFFSET_RANGE = [-300, 300];
+const CALIB_INTERVAL = 500; // 120 BPM
+const CALIB_COUNT_IN = 4;
+const CALIB_BEATS = 16;
+const CALIB_MIN_TAPS = 8;
+
+// Local persistence (IndexedDB)
+const DB_NAME = 'rhythm-station';
+const DB_VERSION = 5;
+const DB_STORES = {
+    charts: { keyPath: 'key' },
+    replays: { keyPath: 'id', autoIncrement: true },
+    scores: { keyPath: 'id', autoIncrement: true, indexes: ['songKey'] },
+    songs: { keyPath: 'id' }, // Song library, keyed by file fingerprint
+    sounds: { keyPath: 'id' } // The user's own hit sound, as the original file
+};
+const CHART_CACHE_MAX_ENTRIES = 30;
+const CHART_CACHE_MAX_BYTES = 20 * 1024 * 1024;
+const REPLAY_MAX_ENTRIES = 50;
+
+// Song library: files the game can open, and the thumbnail taken from each video
+// Anything the <video> element can play works; audio-only files get the visualizer background
+const MEDIA_EXTENSIONS = ['mp4', 'webm', 'mp3', 'ogg', 'wav', 'flac'];
+const MEDIA_PICKER_TYPES = [{
+    description: 'Songs',
+    accept: {
+        'video/mp4': ['.mp4'], 'video/webm': ['.webm'], 'audio/mpeg': ['.mp3'],
+        'audio/ogg': ['.ogg'], 'audio/wav': ['.wav'], 'audio/flac': ['.flac']
+    }
+}];
+const THUMB_WIDTH = 160;
+const THUMB_HEIGHT = 90;
+const THUMB_TIMEOUT_MS = 5000;
+
+// Built-in hit sounds, synthesized into AudioBuffers: length in seconds, sample(t, noise) in -1..1
+const HIT_SOUNDS = {
+    tick: { length: 0.04, sample: t => Math.sin(2 * Math.PI * 3200 * t) * Math.exp(-t / 0.006) },
+    clap: {
+        length: 0.18,
+        // Three quick noise bursts and a short tail
+        sample: (t, noise) => noise * ([0, 0.011, 0.022].reduce((acc, at) => acc + (t >= at ? Math.exp(-(t - at) / 0.006) : 0), 0) * 0.6 + Math.exp(-t / 0.05) * 0.4)
+    },
+    kick: {
+        length: 0.25,
+        // Pitch falls from 150 Hz to 50 Hz
+        sample: t => Math.sin(2 * Math.PI * (50 * t + 3 * (1 - Math.exp(-t / 0.03)))) * Math.exp(-t / 0.08)
+    },
+    bell: {
+        length: 0.5,
+        sample: t => (Math.sin(2 * Math.PI * 1320 * t) + 0.5 * Math.sin(2 * Math.PI * 2640 * t) + 0.25 * Math.sin(2 * Math.PI * 3960 * t)) / 1.75 * Math.exp(-t / 0.12)
+    }
+};
+const HIT_SOUND_GAIN = 0.6; // Built-in sounds sit under the music at equal slider settings
+const HIT_SOUND_MAX_BYTES = 2 * 1024 * 1024; // A hit sound, not a song
+const DEFAULT_VOLUME = { master: 100, music: 50, sfx: 80 }; // Percent; music used to be fixed at 50%
+
+// Judgment window choices; the windows themselves are in scoring.js
+const JUDGE_LABELS = { lenient: 'LENIENT', standard: 'STANDARD', strict: 'STRICT', custom: 'CUSTOM' };
+
+// Result screen timing breakdown: histogram bin width, and how far off the mean has to be
+// (over enough presses) before suggesting a new input offset
+const HIT_HISTOGRAM_BIN = 10;
+const OFFSET_HINT_MIN_MS = 10;
+const OFFSET_HINT_MIN_HITS = 20;
+const JUDGMENT_COLORS = { PERFECT: '#ffeb3b', GREAT: '#8bc34a', GOOD: '#03a9f4', MISS: '#f44336' };
+
+// Visualizer: spectrum bars per side and how many low bins drive the pulse
+const VISUALIZER_BARS = 40;
+const VISUALIZER_BASS_BINS = 6;
+
+// Autoplay: how long a tap lights its target, and how long the menu idles before the demo starts
+const AUTOPLAY_TAP_MS = 80;
+const ATTRACT_IDLE_MS = 20000;
+
+// Promise wrapper around the app's IndexedDB database
+class LocalStore {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (!window.indexedDB) { reject(new Error("IndexedDB not available")); return; }
+                const req = indexedDB.open(DB_NAME, DB_VERSION);
+                req.onupgradeneeded = () => {
+                    const db = req.result;
+                    Object.entries(DB_STORES).forEach(([name, def]) => {
+                        if (db.objectStoreNames.contains(name)) return;
+                        const store = db.createObjectStore(name, { keyPath: def.keyPath, autoIncrement: !!def.autoIncrement });
+                        (def.indexes || []).forEach(idx => store.createIndex(idx, idx));
+                    });
+                };
+                req.onsuccess = () => resolve(req.result);
+                req.onerror = () => reject(req.error);
+            });
+            this.dbPromise.catch(() => { this.dbPromise = null; });
+        }
+        return this.dbPromise;
+    }
+
+    async request(storeName, mode, fn) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            const req = fn(tx.objectStore(storeName));
+            tx.oncomplete = () => resolve(req ? req.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error("Transaction aborted"));
+        });
+    }
+
+    get(storeName, key) { return this.request(storeName, 'readonly', s => s.get(key)); }
+    getAll(storeName) { return this.request(storeName, 'readonly', s => s.getAll()); }
+    getAllByIndex(storeName, index, key) { return this.request(storeName, 'readonly', s => s.index(index).getAll(key)); }
+    put(storeName, value) { return this.request(storeName, 'readwrite', s => s.put(value)); }
+    delete(storeName, key) { return this.request(storeName, 'readwrite', s => s.delete(key)); }
+    clear(storeName) { return this.request(storeName, 'readwrite', s => s.clear()); }
+}
+
+// Gameplay time in ms of song position. media.currentTime only updates every few frames
+// (and not at all while buffering), so the clock runs on performance.now() between updates
+// and is pulled back toward the media time whenever a fresh value comes in.
+const SONG_CLOCK_RESYNC_MS = 80; // Further off than this (seek, stall recovery) and we jump
+const SONG_CLOCK_SLEW = 0.25; // Fraction of smaller drift corrected per media update
+
+class SongClock {
+    constructor(media) {
+        this.media = media;
+        this.stalled = false;
+        this.reset();
+        media.addEventListener('waiting', () => { this.stalled = true; });
+        media.addEventListener('playing', () => { this.stalled = false; this.reset(); });
+        media.addEventListener('seeked', () => this.reset());
+        media.addEventListener('ratechange', () => this.reanchor());
+    }
+
+    reset() {
+        // Next now() takes the media time as-is
+        this.anchorMedia = null;
+        this.lastMedia = null;
+        this.lastNow = -Infinity;
+    }
+
+    reanchor() {
+        const perf = performance.now();
+        if (this.anchorMedia !== null) this.anchorMedia = this.predict(perf);
+        this.anchorPerf = perf;
+        this.rate = this.media.playbackRate || 1;
+    }
+
+    predict(perf) {
+        return this.anchorMedia + (perf - this.anchorPerf) * this.rate;
+    }
+
+    isAdvancing() {
+        const m = this.media;
+        return !m.paused && !m.ended && !this.stalled && m.readyState >= 3; // HAVE_FUTURE_DATA
+    }
+
+    now() {
+        const perf = performance.now();
+        const media = this.media.currentTime * 1000;
+
+        if (this.anchorMedia === null || !this.isAdvancing()) {
+            // Paused or buffering: the media position is exact and not moving
+            this.anchorMedia = media;
+            this.anchorPerf = perf;
+            this.rate = this.media.playbackRate || 1;
+            this.lastMedia = media;
+            this.lastNow = media;
+            return media;
+        }
+
+        if (media !== this.lastMedia) {
+            this.lastMedia = media;
+            const drift = media - this.predict(perf);
+            if (Math.abs(drift) > SONG_CLOCK_RESYNC_MS) {
+                this.anchorMedia = media;
+                this.anchorPerf = perf;
+                this.lastNow = media;
+                return media;
+            }
+            this.anchorMedia += drift * SONG_CLOCK_SLEW;
+        }
+
+        // Small corrections never move time backwards
+        this.lastNow = Math.max(this.lastNow, this.predict(perf));
+        return this.lastNow;
+    }
+}
+
+// Chart editor: a scrubbable timeline over game-video with one lane per target
+const EDITOR_RULER_HEIGHT = 48;
+const EDITOR_MIN_SPAN = 1000;
+const EDITOR_MAX_SPAN = 30000;
+const EDITOR_UNDO_LIMIT = 200;
+const PRACTICE_MIN_SECTION = 500; // Shortest A-B loop (ms)
+
+class ChartEditor {
+    constructor(game) {
+        this.game = game;
+        this.canvas = document.getElementById('editor-timeline');
+        this.ctx = this.canvas.getContext('2d');
+        this.notes = []; // Flat list of { time, lane, hold, intensity }
+        this.undoStack = [];
+        this.redoStack = [];
+        this.tool = 'note';
+        this.snap = 0;
+        this.viewStart = 0;
+        this.viewSpan = 5000;
+        this.cursor = 0;
+        this.duration = 0;
+        this.drag = null;
+        this.original = null; // analysisData before editing, for DISCARD
+        this.practice = false; // Opened from PRACTICE: no editing, drag on the lanes picks the A-B section
+        this.loopStart = null;
+        this.loopEnd = null;
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        document.querySelectorAll('.editor-tool').forEach(btn => {
+            btn.onclick = () => this.setTool(btn.dataset.tool);
+        });
+        document.getElementById('editor-snap').onchange = (e) => { this.snap = parseInt(e.target.value); };
+        document.getElementById('editor-undo').onclick = () => this.undo();
+        document.getElementById('editor-redo').onclick = () => this.redo();
+        document.getElementById('editor-play').onclick = () => this.togglePreview();
+        document.getElementById('editor-test').onclick = () => this.testPlay();
+        document.getElementById('editor-done').onclick = () => this.close(true);
+        document.getElementById('editor-discard').onclick = () => this.close(false);
+        document.getElementById('practice-a').onclick = () => this.setLoopPoint('start', this.cursor);
+        document.getElementById('practice-b').onclick = () => this.setLoopPoint('end', this.cursor);
+        document.getElementById('practice-start').onclick = () => this.startPractice();
+        document.getElementById('practice-back').onclick = () => this.close(false);
+
+        const canvas = this.canvas;
+        canvas.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        canvas.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        canvas.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+        canvas.addEventListener('pointercancel', () => { this.drag = null; });
+        canvas.addEventListener('wheel', (e) => this.handleWheel(e), { passive: false });
+        window.addEventListener('resize', () => this.resize());
+    }
+
+    open(options = {}) {
+        const game = this.game;
+        const data = game.analysisData;
+        this.original = data;
+        this.notes = this.fromChart(data.noteChart);
+        this.undoStack = [];
+        this.redoStack = [];
+        this.cursor = 0;
+        this.viewStart = 0;
+        this.practice = !!options.practice;
+        this.loopStart = null;
+        this.loopEnd = null;
+        document.getElementById('editor-screen').classList.toggle('practice', this.practice);
+        this.snap = parseInt(document.getElementById('editor-snap').value);
+
+        const lastNote = this.notes.reduce((acc, n) => Math.max(acc, n.time + n.hold), 0);
+        const videoMs = isFinite(game.video.duration) ? game.video.duration * 1000 : 0;
+        this.duration = Math.max((data.duration || 0) * 1000, videoMs, lastNote + 2000);
+
+        game.ensureWaveform()
+            .then(() => { this.duration = Math.max(this.duration, (data.duration || 0) * 1000); })
+            .catch(e => game.log("Waveform failed: " + e.message));
+        this.resume();
+    }
+
+    resume() {
+        // Also the way back from a TEST run
+        const video = this.game.video;
+        this.game.switchScreen('editor');
+        video.pause();
+        video.classList.add('visible');
+        video.currentTime = this.cursor / 1000;
+        this.resize();
+        this.updateInfo();
+    }
+
+    close(keep) {
+        this.stopPreview();
+        if (keep) this.apply();
+        else this.game.analysisData = this.original;
+        this.game.video.classList.remove('visible');
+        this.game.switchScreen('song-select');
+        this.game.updateSongInfo();
+    }
+
+    apply() {
+        this.game.applyEditedChart(this.toChart());
+    }
+
+    testPlay() {
+        this.stopPreview();
+        this.apply();
+        this.game.startGame({ startAt: this.cursor, returnTo: 'editor' });
+    }
+
+    // --- Practice: loop the A-B section, optionally slowed down ---
+    setLoopPoint(which, t) {
+        t = this.snapTime(t);
+        if (which === 'start') this.loopStart = t;
+        else this.loopEnd = t;
+        if (this.loopStart !== null && this.loopEnd !== null && this.loopStart > this.loopEnd) {
+            [this.loopStart, this.loopEnd] = [this.loopEnd, this.loopStart];
+        }
+        this.updateInfo();
+    }
+
+    startPractice() {
+        if (this.loopStart === null || this.loopEnd === null || this.loopEnd - this.loopStart < PRACTICE_MIN_SECTION) {
+            alert("Set A and B at least half a second apart first (drag across the lanes, or use the A / B buttons).");
+            return;
+        }
+        this.stopPreview();
+        this.game.startGame({
+            practice: {
+                start: this.loopStart,
+                end: this.loopEnd,
+                rate: parseInt(document.getElementById('practice-rate').value) / 100,
+                loops: parseInt(document.getElementById('practice-loops').value) // 0 loops forever
+            },
+            returnTo: 'editor'
+        });
+    }
+
+    fromChart(chart) {
+        const notes = [];
+        chart.forEach(b => {
+            const targets = b.targets || [];
+            targets.forEach(lane => notes.push({ time: b.time, lane, hold: b.hold || 0, intensity: b.intensity }));
+        });
+        return notes;
+    }
+
+    toChart() {
+        // Notes sharing a time become one beat; its targets form the simultaneous group
+        const beats = new Map();
+        this.notes.forEach(n => {
+            const key = n.time.toFixed(1);
+            let beat = beats.get(key);
+            if (!beat) {
+                beat = { time: n.time, intensity: n.intensity, targets: [], hold: 0 };
+                beats.set(key, beat);
+            }
+            if (!beat.targets.includes(n.lane)) beat.targets.push(n.lane);
+            beat.hold = Math.max(beat.hold, n.hold);
+            beat.intensity = Math.max(beat.intensity, n.intensity);
+        });
+        return [...beats.values()]
+            .sort((a, b) => a.time - b.time)
+            .map(b => ({ ...b, hold: Math.round(b.hold), isSimul: b.targets.length > 1 }));
+    }
+
+    siblings(note) {
+        return this.notes.filter(n => Math.abs(n.time - note.time) < 0.05);
+    }
+
+    // --- Undo / redo: whole-list snapshots, edits are small and rare ---
+    pushUndo() {
+        this.undoStack.push(JSON.stringify(this.notes));
+        if (this.undoStack.length > EDITOR_UNDO_LIMIT) this.undoStack.shift();
+        this.redoStack = [];
+    }
+
+    undo() {
+        if (this.undoStack.length === 0) return;
+        this.redoStack.push(JSON.stringify(this.notes));
+        this.notes = JSON.parse(this.undoStack.pop());
+        this.updateInfo();
+    }
+
+    redo() {
+        if (this.redoStack.length === 0) return;
+        this.undoStack.push(JSON.stringify(this.notes));
+        this.notes = JSON.parse(this.redoStack.pop());
+        this.updateInfo();
+    }
+
+    setTool(tool) {
+        this.tool = tool;
+        document.querySelectorAll('.editor-tool').forEach(btn => btn.classList.toggle('active', btn.dataset.tool === tool));
+    }
+
+    // --- Geometry ---
+    resize() {
+        this.canvas.width = this.canvas.clientWidth;
+        this.canvas.height = this.canvas.clientHeight;
+    }
+
+    laneHeight() {
+        return (this.canvas.height - EDITOR_RULER_HEIGHT) / this.game.numTargets;
+    }
+
+    timeToX(t) {
+        return (t - this.viewStart) / this.viewSpan * this.canvas.width;
+    }
+
+    xToTime(x) {
+        return this.viewStart + x / this.canvas.width * this.viewSpan;
+    }
+
+    snapTime(t) {
+        const tempo = this.game.analysisData && this.game.analysisData.tempo;
+        if (this.snap && tempo) {
+            const step = (60000 / tempo.bpm) * (4 / this.snap);
+            t = tempo.offset + Math.round((t - tempo.offset) / step) * step;
+        }
+        return Math.max(0, Math.min(this.duration, t));
+    }
+
+    pointerPos(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    }
+
+    noteAt(x, y) {
+        const laneH = this.laneHeight();
+        const lane = Math.floor((y - EDITOR_RULER_HEIGHT) / laneH);
+        const radius = Math.min(laneH * 0.35, 10) + 4;
+        let best = null, bestDist = Infinity;
+        this.notes.forEach(n => {
+            if (n.lane !== lane) return;
+            const d = Math.abs(this.timeToX(n.time) - x);
+            if (d <= radius && d < bestDist) { bestDist = d; best = n; }
+        });
+        return best;
+    }
+
+    // --- Pointer editing ---
+    handlePointerDown(e) {
+        const { x, y } = this.pointerPos(e);
+        this.canvas.setPointerCapture(e.pointerId);
+
+        if (y < EDITOR_RULER_HEIGHT) {
+            this.drag = { type: 'scrub' };
+            this.seek(this.xToTime(x));
+            return;
+        }
+
+        if (this.practice) {
+            this.drag = { type: 'section', from: this.xToTime(x), startX: x, moved: false };
+            return;
+        }
+
+        const lane = Math.floor((y - EDITOR_RULER_HEIGHT) / this.laneHeight());
+        if (lane < 0 || lane >= this.game.numTargets) return;
+        const note = this.noteAt(x, y);
+
+        if (this.tool === 'note') {
+            if (note) {
+                const group = this.siblings(note);
+                this.drag = { type: 'move', note, group, times: group.map(n => n.time), startX: x, moved: false };
+            } else {
+                this.pushUndo();
+                this.notes.push({ time: this.snapTime(this.xToTime(x)), lane, hold: 0, intensity: 1.0 });
+            }
+        } else if (this.tool === 'pair' && note) {
+            this.togglePair(note);
+        } else if (this.tool === 'hold' && note) {
+            this.drag = { type: 'hold', note, group: this.siblings(note), startX: x, moved: false };
+        }
+        this.updateInfo();
+    }
+
+    handlePointerMove(e) {
+        if (!this.drag) return;
+        const { x } = this.pointerPos(e);
+        const drag = this.drag;
+
+        if (drag.type === 'scrub') {
+            this.seek(this.xToTime(x));
+            return;
+        }
+        if (!drag.moved) {
+            if (Math.abs(x - drag.startX) < 4) return;
+            drag.moved = true;
+            if (drag.type !== 'section') this.pushUndo();
+        }
+
+        if (drag.type === 'section') {
+            this.loopStart = null;
+            this.loopEnd = null;
+            this.setLoopPoint('start', drag.from);
+            this.setLoopPoint('end', this.xToTime(x));
+            return;
+        }
+
+        if (drag.type === 'move') {
+            const delta = this.snapTime(drag.times[0] + (this.xToTime(x) - this.xToTime(drag.startX))) - drag.times[0];
+            drag.group.forEach((n, i) => { n.time = Math.max(0, drag.times[i] + delta); });
+        } else if (drag.type === 'hold') {
+            const hold = Math.max(0, this.snapTime(this.xToTime(x)) - drag.note.time);
+            drag.group.forEach(n => { n.hold = hold; });
+        }
+        this.updateInfo();
+    }
+
+    handlePointerUp(e) {
+        const drag = this.drag;
+        this.drag = null;
+        if (!drag || drag.moved) return;
+
+        // A click without dragging
+        if (drag.type === 'section') {
+            this.seek(drag.from);
+        } else if (drag.type === 'move') {
+            this.pushUndo();
+            this.notes.splice(this.notes.indexOf(drag.note), 1);
+        } else if (drag.type === 'hold' && drag.note.hold > 0) {
+            this.pushUndo();
+            drag.group.forEach(n => { n.hold = 0; });
+        }
+        this.updateInfo();
+    }
+
+    togglePair(note) {
+        this.pushUndo();
+        const group = this.siblings(note);
+        if (group.length > 1) {
+            this.notes = this.notes.filter(n => n === note || !group.includes(n));
+            return;
+        }
+        // Partner goes on the mirrored target, or the nearest free one
+        const used = new Set([note.lane]);
+        const order = [this.game.numTargets - 1 - note.lane];
+        for (let d = 1; d < this.game.numTargets; d++) order.push(note.lane + d, note.lane - d);
+        const lane = order.find(l => l >= 0 && l < this.game.numTargets && !used.has(l));
+        this.notes.push({ time: note.time, lane, hold: note.hold, intensity: note.intensity });
+    }
+
+    handleWheel(e) {
+        e.preventDefault();
+        const { x } = this.pointerPos(e);
+        if (e.ctrlKey) {
+            // Zoom around the pointer
+            const anchor = this.xToTime(x);
+            const factor = e.deltaY > 0 ? 1.2 : 1 / 1.2;
+            this.viewSpan = Math.max(EDITOR_MIN_SPAN, Math.min(EDITOR_MAX_SPAN, this.viewSpan * factor));
+            this.viewStart = anchor - x / this.canvas.width * this.viewSpan;
+        } else {
+            const delta = Math.abs(e.deltaX) > Math.abs(e.deltaY) ? e.deltaX : e.deltaY;
+            this.viewStart += delta / this.canvas.width * this.viewSpan;
+        }
+        this.clampView();
+    }
+
+    clampView() {
+        this.viewStart = Math.max(-this.viewSpan * 0.1, Math.min(this.duration - this.viewSpan * 0.5, this.viewStart));
+    }
+
+    handleKey(e) {
+        const mod = e.ctrlKey || e.metaKey;
+        if (mod && e.code === 'KeyZ') {
+            e.preventDefault();
+            if (e.shiftKey) this.redo(); else this.undo();
+        } else if (mod && e.code === 'KeyY') {
+            e.preventDefault();
+            this.redo();
+        } else if (e.code === 'Space') {
+            e.preventDefault();
+            if (!e.repeat) this.togglePreview();
+        } else if (this.practice && (e.code === 'KeyA' || e.code === 'KeyB')) {
+            this.setLoopPoint(e.code === 'KeyA' ? 'start' : 'end', this.cursor);
+        }
+    }
+
+    // --- Preview playback ---
+    seek(t) {
+        this.cursor = Math.max(0, Math.min(this.duration, t));
+        this.game.video.currentTime = this.cursor / 1000;
+        this.updateInfo();
+    }
+
+    togglePreview() {
+        const video = this.game.video;
+        if (!video.paused) {
+            this.stopPreview();
+            return;
+        }
+        this.game.initAudio();
+        if (this.game.audioCtx && this.game.audioCtx.state === 'suspended') this.game.audioCtx.resume();
+        video.currentTime = this.cursor / 1000;
+        video.play().catch(e => this.game.log("Preview err: " + e.message));
+        document.getElementById('editor-play').innerText = 'STOP';
+    }
+
+    stopPreview() {
+        this.game.video.pause();
+        document.getElementById('editor-play').innerText = 'PLAY';
+    }
+
+    formatTime(ms) {
+        const t = ms / 1000;
+        return `${Math.floor(t / 60)}:${(t % 60).toFixed(3).padStart(6, '0')}`;
+    }
+
+    updateInfo() {
+        let info = `${this.formatTime(this.cursor)} · ${this.notes.length} notes`;
+        if (this.practice) {
+            const a = this.loopStart === null ? '--' : this.formatTime(this.loopStart);
+            const b = this.loopEnd === null ? '--' : this.formatTime(this.loopEnd);
+            info = `${this.formatTime(this.cursor)} · A ${a} · B ${b}`;
+        }
+        document.getElementById('editor-info').innerText = info;
+    }
+
+    // --- Rendering (called from GameEngine.draw while the editor is open) ---
+    draw() {
+        const video = this.game.video;
+        if (!video.paused) {
+            // Follow the playhead during preview
+            this.cursor = video.currentTime * 1000;
+            if (this.cursor > this.viewStart + this.viewSpan * 0.8 || this.cursor < this.viewStart) {
+                this.viewStart = this.cursor - this.viewSpan * 0.2;
+                this.clampView();
+            }
+            this.updateInfo();
+            if (video.ended) this.stopPreview();
+        }
+
+        const { ctx, canvas } = this;
+        const w = canvas.width, h = canvas.height;
+        const laneH = this.laneHeight();
+        ctx.clearRect(0, 0, w, h);
+
+        // Lanes
+        this.game.targetPoints.forEach((pt, i) => {
+            const y = EDITOR_RULER_HEIGHT + i * laneH;
+            ctx.fillStyle = pt.color + (i % 2 ? '14' : '22');
+            ctx.fillRect(0, y, w, laneH);
+        });
+
+        this.drawGrid(w, h);
+        this.drawWaveform(w);
+
+        // Simultaneous links, hold bars, then heads
+        const r = Math.min(laneH * 0.35, 10);
+        const laneY = lane => EDITOR_RULER_HEIGHT + lane * laneH + laneH / 2;
+        const visible = this.notes.filter(n => this.timeToX(n.time + n.hold) >= -r && this.timeToX(n.time) <= w + r);
+        const linked = new Set();
+        visible.forEach(n => {
+            const key = n.time.toFixed(1);
+            if (linked.has(key)) return;
+            const group = this.siblings(n);
+            if (group.length < 2) return;
+            linked.add(key);
+            const ys = group.map(g => laneY(g.lane));
+            const x = this.timeToX(n.time);
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(x, Math.min(...ys));
+            ctx.lineTo(x, Math.max(...ys));
+            ctx.stroke();
+        });
+        visible.forEach(n => {
+            if (!n.hold) return;
+            const color = this.game.targetPoints[n.lane].color;
+            const x1 = this.timeToX(n.time), x2 = this.timeToX(n.time + n.hold);
+            ctx.fillStyle = color + '88';
+            ctx.fillRect(x1, laneY(n.lane) - r * 0.6, x2 - x1, r * 1.2);
+        });
+        visible.forEach(n => {
+            const color = this.game.targetPoints[n.lane].color;
+            ctx.beginPath();
+            ctx.arc(this.timeToX(n.time), laneY(n.lane), r, 0, Math.PI * 2);
+            ctx.fillStyle = color;
+            ctx.fill();
+            ctx.strokeStyle = 'white';
+            ctx.lineWidth = 2;
+            ctx.stroke();
+        });
+
+        if (this.practice) this.drawSection(h);
+
+        // Playhead
+        const cx = this.timeToX(this.cursor);
+        ctx.strokeStyle = '#ff4081';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(cx, 0);
+        ctx.lineTo(cx, h);
+        ctx.stroke();
+    }
+
+    drawSection(h) {
+        const { ctx } = this;
+        ctx.save();
+        if (this.loopStart !== null && this.loopEnd !== null) {
+            ctx.fillStyle = 'rgba(255, 235, 59, 0.12)';
+            ctx.fillRect(this.timeToX(this.loopStart), 0, this.timeToX(this.loopEnd) - this.timeToX(this.loopStart), h);
+        }
+        ctx.font = 'bold 12px Orbitron, sans-serif';
+        ctx.textBaseline = 'bottom';
+        [['A', this.loopStart], ['B', this.loopEnd]].forEach(([label, t]) => {
+            if (t === null) return;
+            const x = this.timeToX(t);
+            ctx.fillStyle = '#ffeb3b';
+            ctx.fillRect(x - 1, 0, 2, h);
+            ctx.fillText(label, x + 4, EDITOR_RULER_HEIGHT - 2);
+        });
+        ctx.restore();
+    }
+
+    drawGrid(w, h) {
+        const { ctx } = this;
+        const tempo = this.game.analysisData && this.game.analysisData.tempo;
+        ctx.save();
+        ctx.font = '10px Orbitron, sans-serif';
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.textBaseline = 'top';
+
+        if (this.snap && tempo) {
+            const beat = 60000 / tempo.bpm;
+            const step = beat * (4 / this.snap);
+            const first = Math.ceil((this.viewStart - tempo.offset) / step);
+            for (let k = first; ; k++) {
+                const t = tempo.offset + k * step;
+                const x = this.timeToX(t);
+                if (x > w) break;
+                const onBeat = Math.abs(((t - tempo.offset) / beat) - Math.round((t - tempo.offset) / beat)) < 1e-6;
+                ctx.fillStyle = onBeat ? 'rgba(255, 255, 255, 0.3)' : 'rgba(255, 255, 255, 0.1)';
+                ctx.fillRect(x, EDITOR_RULER_HEIGHT, 1, h - EDITOR_RULER_HEIGHT);
+            }
+        }
+
+        // Second markers in the ruler
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+        for (let s = Math.max(0, Math.ceil(this.viewStart / 1000)); s * 1000 <= this.viewStart + this.viewSpan; s++) {
+            const x = this.timeToX(s * 1000);
+            ctx.fillRect(x, 0, 1, 8);
+            ctx.fillText(`${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`, x + 3, 2);
+        }
+        ctx.restore();
+    }
+
+    drawWaveform(w) {
+        const wave = this.game.analysisData && this.game.analysisData.waveform;
+        if (!wave) return;
+        const { ctx } = this;
+        const mid = EDITOR_RULER_HEIGHT / 2 + 6;
+        const amp = EDITOR_RULER_HEIGHT / 2 - 8;
+        ctx.fillStyle = 'rgba(0, 210, 255, 0.6)';
+        for (let x = 0; x < w; x++) {
+            const from = Math.floor(this.xToTime(x) / 1000 * wave.rate);
+            const to = Math.max(from + 1, Math.floor(this.xToTime(x + 1) / 1000 * wave.rate));
+            let peak = 0;
+            for (let i = Math.max(0, from); i < Math.min(wave.peaks.length, to); i++) peak = Math.max(peak, wave.peaks[i]);
+            const hgt = peak / 255 * amp;
+            if (hgt > 0) ctx.fillRect(x, mid - hgt, 1, hgt * 2);
+        }
+    }
+}
+
 class GameEngine {
     constructor() {
         try {
@@ -14,11 +808,11 @@ class GameEngine {
             this.maxCombo = 0;
             this.notes = [];
             this.targetPoints = [];
-            this.numTargets = 6;
+            this.numTargets = NUM_TARGETS;
             this.lastTime = 0;
-            this.startTime = 0;
             this.isPlaying = false;
             this.stats = { perfect: 0, great: 0, good: 0, miss: 0 };
+            this.hitLog = []; // Every judgment of the run, for the result screen's timing breakdown
             this.maxHP = 100;
             this.currentHP = 100;
             this.effects = []; // Visual effects for hits
@@ -29,26 +823,67 @@ class GameEngine {
             this.audioCtx = null;
             this.analyser = null;
             this.video = document.getElementById('game-video');
+            this.clock = new SongClock(this.video); // Every gameplay timing path reads this
+            this.video.addEventListener('loadedmetadata', () => {
+                this.hasVideo = this.video.videoWidth > 0;
+                if (this.isPlaying) this.video.classList.toggle('visible', this.hasVideo);
+            });
             this.currentFile = null;
-            this.tapSoundBuffer = null;
-            this.tapSoundAudio = null;
+            this.currentFingerprint = null;
+            this.hasVideo = true;
+            this.spectrum = null; // Visualizer frequency data, sized once the analyser exists
+            this.hitSoundBuffer = null;
+            this.masterGain = null; // Music and hit sounds have their own gains into this one
+            this.musicGain = null;
+            this.sfxGain = null;
+
+            // Persistence
+            this.store = new LocalStore();
 
             // Input Tracking
             this.activeTouches = new Map();
+            this.rebindTarget = null; // Target waiting for a new key in settings
+            this.rebindPadTarget = null; // Target waiting for a new gamepad button
+            this.lastInput = 'pointer';
+            this.padButtons = new Map(); // Gamepad index -> pressed state of each button last frame
+            this.padNav = null; // Held menu direction and when it repeats
+            this.padFocus = null;
+            this.calibration = null; // Running tap-along calibration, see startCalibration()
+            this.heldTargets = new Set(); // Targets held as of the last frame, to spot releases
+
+            // Replays: inputs of the current run, and the run being played back
+            this.recording = null;
+            this.replay = null;
+            this.autoplay = null; // { held: Map target -> release time } while autoplay runs
+            this.practice = null; // { start, end, rate, loops, loop, loopAt } while practicing a section
+            this.currentChart = [];
+            this.chartIndex = 0; // Next beat to spawn
+            this.chartEnd = 0;
+            this.lastActivity = performance.now(); // Last player input, for the menu demo
+            this.lastReplay = null;
+            this.judgeOffset = 0; // Input offset the current run is judged with
+            this.judge = 'standard';
+            this.judgeWindows = { ...JUDGE_WINDOWS }; // Judgment windows of the current run
 
             // Analysis
-            this.lastAnalysisTime = 0;
-            this.beatThreshold = 140;
             this.minBeatInterval = 250;
-            this.lastAnalysisTime = 0;
-            this.avgEnergy = 0;
-            this.lastEnergy = 0;
 
             // Settings
-            this.difficulty = 'normal';
+            this.settings = this.loadSettings();
+            this.difficulty = this.settings.difficulty;
             this.isPaused = false;
+            this.playOptions = {}; // Options of the last startGame(), reused by retry
+            this.modifiers = { ...DEFAULT_MODIFIERS }; // Modifiers of the current run
+            this.laneMap = [...Array(this.numTargets).keys()]; // Chart target -> played target
+
+            this.editor = new ChartEditor(this);
 
             this.analysisData = null; // Stores totalNotes and maxScore
+            this.analysisId = 0; // Bumped to discard results of an analysis that is no longer wanted
+            this.isAnalyzing = false; // True while an analyzeAudio() call is running
+            this.analysisWorker = null; // Runs the analysis; terminated to cancel it
+            this.analysisJob = null; // { id, reject } of the job the worker is on
+            this.analysisDone = Promise.resolve(); // Settles when the latest analyzeAudio() call ends
 
             this.init();
         } catch (e) { console.error(e); }
@@ -60,6 +895,7 @@ class GameEngine {
         window.addEventListener('resize', () => this.resize());
         this.setupTargets();
         this.bindEvents();
+        this.renderDifficulties();
         this.renderLoop();
     }
 
@@ -79,37 +915,96 @@ class GameEngine {
             this.video.crossOrigin = "anonymous";
             this.source = this.audioCtx.createMediaElementSource(this.video);
 
-            // Create GainNode for volume control
-            this.gainNode = this.audioCtx.createGain();
-            this.gainNode.gain.value = 0.5; // Set to 50%
-
-            this.source.connect(this.gainNode);
-            this.gainNode.connect(this.analyser);
-            this.analyser.connect(this.audioCtx.destination);
-
-            this.loadTapSound();
+            // music -> analyser -> master <- hit sounds; the sliders set the three gains
+            this.masterGain = this.audioCtx.createGain();
+            this.musicGain = this.audioCtx.createGain();
+            this.sfxGain = this.audioCtx.createGain();
+            this.source.connect(this.musicGain);
+            this.musicGain.connect(this.analyser);
+            this.analyser.connect(this.masterGain);
+            this.sfxGain.connect(this.masterGain);
+            this.masterGain.connect(this.audioCtx.destination);
+            this.applyVolumes();
+
+            this.loadHitSound();
             this.log("Audio OK");
         } catch (e) {
             this.log("Audio fail: " + e.message);
         }
     }
 
-    loadTapSound() {
+    applyVolumes() {
+        const { master, music, sfx } = this.settings.volume;
+        if (this.masterGain) {
+            this.masterGain.gain.value = master / 100;
+            this.musicGain.gain.value = music / 100;
+            this.sfxGain.gain.value = sfx / 100;
+            this.video.volume = 1; // Mixed in the graph instead
+        } else {
+            this.video.volume = master / 100 * music / 100; // No Web Audio: only the music can be turned down
+        }
+    }
+
+    synthHitSound(name) {
+        const ctx = this.audioCtx;
+        const sound = HIT_SOUNDS[name];
+        const length = Math.ceil(sound.length * ctx.sampleRate);
+        const buffer = ctx.createBuffer(1, length, ctx.sampleRate);
+        const data = buffer.getChannelData(0);
+        const rng = mulberry32(1);
+        const fade = ctx.sampleRate * 0.005; // So the cut-off tail does not click
+        for (let i = 0; i < length; i++) {
+            data[i] = sound.sample(i / ctx.sampleRate, rng() * 2 - 1) * HIT_SOUND_GAIN * Math.min(1, (length - i) / fade);
+        }
+        return buffer;
+    }
+
+    async loadHitSound() {
+        const name = this.settings.hitSound;
+        this.hitSoundBuffer = null;
+        if (!this.audioCtx || name === 'off') return;
+        if (HIT_SOUNDS[name]) {
+            this.hitSoundBuffer = this.synthHitSound(name);
+            return;
+        }
         try {
-            const audio = new Audio('SleighBells.mp3');
-            audio.addEventListener('canplaythrough', () => {
-                this.tapSoundAudio = audio;
-                this.log("Tap sound loaded");
-            });
-            audio.load();
+            const stored = await this.store.get('sounds', 'custom');
+            if (!stored) return;
+            const buffer = await this.audioCtx.decodeAudioData(stored.data.slice(0));
+            if (this.settings.hitSound === 'custom') this.hitSoundBuffer = buffer; // Unless the choice changed meanwhile
+        } catch (e) {
+            this.log("Hit sound load failed: " + e.message);
+        }
+    }
+
+    async importHitSound(file) {
+        if (file.size > HIT_SOUND_MAX_BYTES) {
+            alert(`"${file.name}" is too long for a hit sound. Use a short clip under 2 MB.`);
+            return;
+        }
+        this.initAudio();
+        try {
+            const data = await file.arrayBuffer();
+            await this.audioCtx.decodeAudioData(data.slice(0)); // Only keep files the browser can play
+            await this.store.put('sounds', { id: 'custom', name: file.name, data });
         } catch (e) {
-            this.log("Tap sound error: " + e.message);
+            alert(`Could not use "${file.name}" as a hit sound: ${e.message}`);
+            return;
         }
+        this.settings.hitSound = 'custom';
+        this.saveSettings();
+        await this.loadHitSound();
+        this.renderAudioSettings();
+        this.playHitSound();
     }
 
-    playTapSound() {
-        // Sound disabled as per request
-        return;
+    playHitSound() {
+        // Buffer sources start on the audio clock, without the delay of a media element
+        if (!this.hitSoundBuffer || !this.audioCtx) return;
+        const source = this.audioCtx.createBufferSource();
+        source.buffer = this.hitSoundBuffer;
+        source.connect(this.sfxGain);
+        source.start();
     }
 
     resize() {
@@ -138,17 +1033,89 @@ class GameEngine {
     }
 
     bindEvents() {
-        document.getElementById('speed-input').onchange = () => {
-            if (this.currentFile) this.analyzeAudio(this.currentFile);
-        };
-        document.getElementById('interval-input').onchange = () => {
+        // Loaded and edited charts are kept as-is; sliders only re-run analysis on generated charts
+        const reanalyze = () => {
+            if (this.analysisData && this.analysisData.source !== 'analysis') return;
             if (this.currentFile) this.analyzeAudio(this.currentFile);
         };
+        document.getElementById('speed-input').onchange = reanalyze;
+        document.getElementById('interval-input').onchange = reanalyze;
+        document.getElementById('quantize-input').onchange = reanalyze;
 
         document.getElementById('start-btn').onclick = () => {
             this.initAudio();
             this.switchScreen('song-select');
+            this.updateCacheInfo();
+            this.renderLibrary();
+        };
+        document.getElementById('settings-btn').onclick = () => {
+            this.switchScreen('settings');
+            this.renderSettings();
+        };
+        document.getElementById('settings-back-btn').onclick = () => {
+            this.rebindTarget = null;
+            this.rebindPadTarget = null;
+            this.switchScreen('menu');
+        };
+        [['input', 'inputOffset'], ['visual', 'visualOffset']].forEach(([name, key]) => {
+            document.getElementById(`${name}-offset-input`).oninput = (e) => {
+                this.settings[key] = parseInt(e.target.value);
+                this.saveSettings();
+                this.renderOffsets();
+            };
+        });
+        Object.keys(DEFAULT_VOLUME).forEach(key => {
+            const input = document.getElementById(`${key}-volume-input`);
+            // Dragging only moves the gains and the label; the setting is saved once the slider is let go
+            input.oninput = () => {
+                this.settings.volume[key] = parseInt(input.value);
+                document.getElementById(`${key}-volume-display`).innerText = this.settings.volume[key];
+                this.applyVolumes();
+            };
+            input.onchange = () => {
+                this.saveSettings();
+                // Letting go of the hit-sound slider plays the sound at the new level
+                if (key === 'sfx') this.playHitSound();
+            };
+        });
+        document.getElementById('hit-sound-input').onchange = async (e) => {
+            this.settings.hitSound = e.target.value;
+            this.saveSettings();
+            this.initAudio();
+            await this.loadHitSound();
+            this.playHitSound();
+        };
+        const soundUpload = document.getElementById('hit-sound-upload');
+        document.getElementById('hit-sound-load-btn').onclick = () => soundUpload.click();
+        soundUpload.onchange = () => {
+            if (soundUpload.files[0]) this.importHitSound(soundUpload.files[0]);
+            soundUpload.value = '';
+        };
+        document.getElementById('calibrate-btn').onclick = () => {
+            this.switchScreen('calibration');
+            this.stopCalibration();
+        };
+        document.getElementById('calib-start-btn').onclick = () => this.startCalibration();
+        document.getElementById('calib-back-btn').onclick = () => {
+            this.stopCalibration();
+            this.switchScreen('settings');
+            this.renderSettings();
+        };
+        document.getElementById('calib-pad').addEventListener('pointerdown', (e) => {
+            e.preventDefault();
+            this.calibrationTap();
+        });
+        document.getElementById('reset-pad-btn').onclick = () => {
+            this.settings.padBindings = DEFAULT_PAD_BINDINGS.map(b => b.slice());
+            this.saveSettings();
+            this.renderPadBindings();
+        };
+        document.getElementById('reset-keys-btn').onclick = () => {
+            this.settings.keyBindings = DEFAULT_KEY_BINDINGS.slice();
+            this.saveSettings();
+            this.renderKeyBindings();
         };
+
         document.getElementById('back-to-menu').onclick = () => {
             if (this.video) { this.video.pause(); this.video.currentTime = 0; }
             this.switchScreen('menu');
@@ -159,33 +1126,120 @@ class GameEngine {
         document.getElementById('resume-btn').onclick = () => this.togglePause();
         document.getElementById('pause-retry-btn').onclick = () => {
             this.togglePause(); // Unpause logic to reset state properly
-            this.startGame();
+            this.startGame(this.playOptions);
         };
         document.getElementById('pause-menu-btn').onclick = () => {
             this.togglePause();
+            // Abandoned runs are not kept as replays, and WATCH REPLAY must not offer an older one
+            if (this.recording) this.lastReplay = null;
+            this.recording = null;
             this.endGame(); // Or switchScreen('menu')
-            this.switchScreen('menu');
+            if (!this.playOptions.returnTo) this.switchScreen('menu');
         };
 
         // Result Screen Buttons
         document.getElementById('restart-btn').onclick = () => {
-            this.startGame();
+            const { replay, autoplay, ...options } = this.playOptions; // After watching a replay or autoplay, RETRY plays for real
+            this.startGame(options);
+        };
+        document.getElementById('watch-replay-btn').onclick = () => this.watchReplay();
+        document.getElementById('autoplay-btn').onclick = () => this.startGame({ autoplay: true });
+        document.getElementById('practice-btn').onclick = () => {
+            if (!this.currentFile || !this.analysisData || this.isAnalyzing) {
+                alert("Select a song and wait for its chart first!");
+                return;
+            }
+            this.initAudio();
+            this.editor.open({ practice: true });
         };
         document.getElementById('quit-btn').onclick = () => {
             // this.video.pause(); // already paused in endGame
             this.switchScreen('menu');
         };
 
-        const upload = document.getElementById('video-upload');
-        upload.onchange = (e) => {
-            const file = e.target.files[0];
-            if (file) {
-                this.currentFile = file;
-                document.getElementById('file-name').innerText = file.name;
-                this.video.src = URL.createObjectURL(file);
-                this.video.load();
-                this.analyzeAudio(file);
+        // Without the File System Access API the pickers fall back to plain file inputs
+        ['video-upload', 'folder-upload'].forEach(id => {
+            const input = document.getElementById(id);
+            input.onchange = () => {
+                this.importFiles([...input.files].map(file => ({ file })));
+                input.value = '';
+            };
+        });
+        document.getElementById('import-files-btn').onclick = () => this.pickFiles();
+        document.getElementById('import-folder-btn').onclick = () => this.pickFolder();
+        document.getElementById('library-search').oninput = () => this.renderLibrary();
+        document.getElementById('library-sort').onchange = () => this.renderLibrary();
+
+        document.getElementById('clear-cache-btn').onclick = () => this.clearChartCache();
+        const gaugeInput = document.getElementById('gauge-input');
+        gaugeInput.value = this.settings.gauge;
+        gaugeInput.onchange = () => {
+            this.settings.gauge = gaugeInput.value;
+            this.saveSettings();
+        };
+        const judgeInput = document.getElementById('judge-input');
+        judgeInput.value = this.settings.judge;
+        judgeInput.onchange = () => {
+            this.settings.judge = judgeInput.value;
+            this.saveSettings();
+            this.renderJudgeWindows();
+        };
+        document.querySelectorAll('.judge-window').forEach(input => {
+            input.onchange = () => {
+                const windows = { ...this.settings.customWindows, [input.dataset.window]: input.value };
+                // Windows that overlap or leave the range are refused; the inputs go back to the saved ones
+                const checked = RhythmScoring.checkWindows(windows);
+                if (checked) {
+                    this.settings.customWindows = checked;
+                    this.saveSettings();
+                }
+                this.renderJudgeWindows();
+            };
+        });
+        this.renderJudgeWindows();
+        ['lanes', 'speed'].forEach(mod => {
+            const select = document.getElementById(`mod-${mod}`);
+            select.value = this.settings.modifiers[mod];
+            select.onchange = () => {
+                this.settings.modifiers[mod] = select.value;
+                this.saveSettings();
+            };
+        });
+        document.querySelectorAll('.mod-toggle').forEach(btn => {
+            const mod = btn.dataset.mod;
+            btn.classList.toggle('active', this.settings.modifiers[mod]);
+            btn.onclick = () => {
+                this.settings.modifiers[mod] = !this.settings.modifiers[mod];
+                btn.classList.toggle('active', this.settings.modifiers[mod]);
+                this.saveSettings();
+            };
+        });
+        document.querySelectorAll('.diff-btn').forEach(btn => {
+            btn.onclick = () => this.selectDifficulty(btn.dataset.diff);
+        });
+        document.getElementById('history-btn').onclick = () => {
+            this.switchScreen('history');
+            this.renderHistory();
+        };
+        document.getElementById('history-back-btn').onclick = () => this.switchScreen('song-select');
+        document.getElementById('history-search').oninput = () => this.renderHistory();
+        document.getElementById('history-scope').onchange = () => this.renderHistory();
+        document.getElementById('history-sort').onchange = () => this.renderHistory();
+
+        document.getElementById('save-chart-btn').onclick = () => this.saveChart();
+        document.getElementById('edit-chart-btn').onclick = () => {
+            if (!this.currentFile || !this.analysisData || this.isAnalyzing) {
+                alert("Select a song and wait for its chart first!");
+                return;
             }
+            this.initAudio();
+            this.editor.open();
+        };
+        const chartUpload = document.getElementById('chart-upload');
+        chartUpload.onchange = (e) => {
+            const file = e.target.files[0];
+            if (file) this.loadChartFile(file);
+            chartUpload.value = ''; // Allow loading the same file again
         };
 
         const canvas = this.canvas;
@@ -197,32 +1251,107 @@ class GameEngine {
         canvas.addEventListener('mousedown', (e) => this.handleMouseDown(e));
         canvas.addEventListener('mousemove', (e) => this.handleMouseMove(e));
         canvas.addEventListener('mouseup', (e) => this.handleMouseUp(e));
+
+        // Any input while the demo runs only stops it
+        ['keydown', 'pointerdown'].forEach(type => window.addEventListener(type, (e) => {
+            if (this.wakeFromDemo()) {
+                e.preventDefault();
+                e.stopPropagation();
+            }
+        }, true));
+        window.addEventListener('keydown', (e) => this.handleKeyDown(e));
+        window.addEventListener('keyup', (e) => this.handleKeyUp(e));
+        window.addEventListener('blur', () => this.releaseKeys());
+        window.addEventListener('gamepadconnected', () => this.updatePadStatus());
+        window.addEventListener('gamepaddisconnected', () => this.updatePadStatus());
     }
 
-    switchScreen(screenName) {
-        this.gameState = screenName;
-        document.querySelectorAll('.screen').forEach(s => s.classList.remove('active'));
-        let sid = screenName + '-screen';
-        if (screenName === 'playing') sid = 'hud';
-        if (screenName === 'song-select') sid = 'song-selection-screen';
+    loadSettings() {
+        const defaults = {
+            keyBindings: DEFAULT_KEY_BINDINGS.slice(),
+            padBindings: DEFAULT_PAD_BINDINGS.map(b => b.slice()),
+            inputOffset: 0,
+            visualOffset: 0,
+            difficulty: 'normal',
+            gauge: 'normal',
+            modifiers: { ...DEFAULT_MODIFIERS },
+            judge: 'standard',
+            customWindows: { ...JUDGE_WINDOWS },
+            hitSound: 'tick',
+            volume: { ...DEFAULT_VOLUME }
+        };
+        try {
+            const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}');
+            const settings = { ...defaults, ...saved };
+            if (!Array.isArray(settings.keyBindings) || settings.keyBindings.length !== this.numTargets) {
+                settings.keyBindings = defaults.keyBindings;
+            }
+            if (!Array.isArray(settings.padBindings) || settings.padBindings.length !== this.numTargets ||
+                !settings.padBindings.every(b => Array.isArray(b) && b.length > 0)) {
+                settings.padBindings = defaults.padBindings;
+            }
+            if (!DIFFICULTIES[settings.difficulty]) settings.difficulty = defaults.difficulty;
+            if (!GAUGE_TYPES[settings.gauge]) settings.gauge = defaults.gauge;
+            settings.modifiers = { ...DEFAULT_MODIFIERS, ...settings.modifiers };
+            if (!JUDGE_LABELS[settings.judge]) settings.judge = defaults.judge;
+            settings.customWindows = RhythmScoring.checkWindows(settings.customWindows) || defaults.customWindows;
+            if (!HIT_SOUNDS[settings.hitSound] && settings.hitSound !== 'off' && settings.hitSound !== 'custom') {
+                settings.hitSound = defaults.hitSound;
+            }
+            const volume = settings.volume || {};
+            settings.volume = {};
+            Object.keys(DEFAULT_VOLUME).forEach(key => {
+                settings.volume[key] = Number.isFinite(volume[key]) ? Math.max(0, Math.min(100, volume[key])) : DEFAULT_VOLUME[key];
+            });
+            [['inputOffset', INPUT_OFFSET_RANGE], ['visualOffset', VISUAL_OFFSET_RANGE]].forEach(([key, [lo, hi]]) => {
+                settings[key] = Number.isFinite(settings[key]) ? Math.max(lo, Math.min(hi, settings[key])) : 0;
+            });
+            return settings;
+        } catch (e) {
+            this.log("Settings load failed: " + e.message);
+            return defaults;
+        }
+    }
+
+    saveSettings() {
+        try {
+            localStorage.setItem(SETTINGS_KEY, JSON.stringify(this.settings));
+        } catch (e) {
+            this.log("Settings save failed: " + e.message);
+        }
+    }
+
+    switchScreen(screenName) {
+        this.gameState = screenName;
+        document.querySelectorAll('.screen').forEach(s => s.classList.remove('active'));
+        let sid = screenName + '-screen';
+        if (screenName === 'playing') sid = 'hud';
+        if (screenName === 'song-select') sid = 'song-selection-screen';
         document.getElementById(sid)?.classList.add('active');
         this.isPlaying = (screenName === 'playing');
 
         // Hide Pause Screen if open
         document.getElementById('pause-screen').classList.remove('active');
+
+        this.setPadFocus(null);
+        if (this.lastInput === 'gamepad') this.setPadFocus(this.getFocusables()[0] || null);
     }
 
-    async startGame() {
+    // options.startAt (ms) begins play mid-song; options.returnTo sends the player back there afterwards.
+    // options.autoplay plays the chart by itself; options.demo marks the menu's attract loop.
+    // options.practice { start, end, rate, loops } loops one section (loops = 0: until quit)
+    async startGame(options = {}) {
         if (!this.currentFile) {
-            alert("Please select an MP4 file first!");
+            alert("Please select a song first!");
             return;
         }
 
         // Wait for analysis if in progress
         if (!this.analysisData) {
             document.getElementById('analysis-overlay').style.display = 'flex';
-            document.getElementById('analysis-status').innerText = "Waiting for analysis...";
-            if (!this.isAnalyzing) await this.analyzeAudio(this.currentFile);
+            if (!this.isAnalyzing) this.analyzeAudio(this.currentFile);
+            // A settings change restarts the job while we wait, so follow it to the latest one
+            while (this.isAnalyzing) await this.analysisDone;
         }
         document.getElementById('analysis-overlay').style.display = 'none';
 
@@ -238,7 +1367,9 @@ class GameEngine {
         this.notes = [];
         this.spawnedNoteCount = 0;
         this.stats = { perfect: 0, great: 0, good: 0, miss: 0 };
+        this.hitLog = [];
         this.currentHP = this.maxHP;
+        this.failed = false;
 
         // Use Pre-analyzed Score Target
         if (this.analysisData) {
@@ -255,143 +1386,506 @@ class GameEngine {
         }
 
         this.activeTouches.clear();
+        this.heldTargets.clear();
         this.isPaused = false;
-
-        // Reset Detection State for Sync
-        this.avgEnergy = 0;
-        this.lastAnalysisTime = 0;
+        this.playOptions = options;
+        const practice = options.practice || null;
+        this.practice = practice ? { ...practice, loop: 1 } : null;
+        const startAt = practice ? practice.start : options.startAt || 0;
+
+        // A replay is judged exactly as it was recorded; a normal run records itself
+        const replay = options.replay || null;
+        this.replay = replay ? { events: replay.events, next: 0, held: new Set() } : null;
+        this.autoplay = options.autoplay && !replay ? { held: new Map() } : null;
+        this.judgeOffset = replay ? replay.settings.inputOffset : this.settings.inputOffset;
+        // Replays from before judgment presets were all judged with the standard windows
+        this.judge = replay ? replay.settings.judge || 'standard' : this.settings.judge;
+        this.judgeWindows = replay ? { ...(replay.settings.judgeWindows || JUDGE_WINDOWS) } : this.getJudgeWindows();
+        if (replay) this.noteDuration = replay.settings.noteSpeed * 1000;
+        // Editor test runs never fail; replays fail exactly where the run did
+        this.gauge = options.returnTo ? 'nofail' : (replay ? replay.settings.gauge : this.settings.gauge) || 'normal';
+        const gaugeEl = document.getElementById('hp-gauge');
+        gaugeEl.className = 'hp-gauge ' + this.gauge;
+        document.getElementById('hp-label').innerText = GAUGE_TYPES[this.gauge].label;
+        // Editor test runs play the chart as written
+        const modifiers = options.returnTo ? { ...DEFAULT_MODIFIERS }
+            : replay ? { ...DEFAULT_MODIFIERS, ...replay.settings.modifiers }
+                : { ...this.settings.modifiers, shuffleSeed: Math.floor(Math.random() * 0x100000000) };
+        this.setupModifiers(modifiers);
+        // Practice seeks back every loop, so there is no single run to record
+        this.recording = replay || this.autoplay || practice ? null : {
+            chartId: this.getChartId(),
+            settings: {
+                ...(this.analysisData ? this.analysisData.settings : this.readAnalysisSettings()),
+                noteSpeed: this.noteDuration / 1000,
+                difficulty: this.difficulty,
+                gauge: this.gauge,
+                modifiers: this.modifiers,
+                judge: this.judge,
+                judgeWindows: this.judgeWindows,
+                inputOffset: this.settings.inputOffset,
+                visualOffset: this.settings.visualOffset
+            },
+            startAt,
+            events: []
+        };
+        const badge = document.getElementById('replay-badge');
+        badge.innerText = replay ? 'REPLAY' : options.demo ? 'DEMO' : 'AUTOPLAY';
+        badge.classList.toggle('visible', !!(replay || this.autoplay || practice));
 
         // Initialize Chart for playback
-        if (this.analysisData && this.analysisData.noteChart) {
-            this.currentChart = [...this.analysisData.noteChart];
-            console.log(`Chart Loaded: ${this.currentChart.length} beats`);
-        } else {
-            this.currentChart = [];
+        this.currentChart = this.analysisData && this.analysisData.noteChart ? this.analysisData.noteChart : [];
+        this.seekChart(startAt);
+        this.chartEnd = practice ? this.chartIndexAt(practice.end) : this.currentChart.length;
+        console.log(`Chart Loaded: ${this.chartEnd - this.chartIndex} beats`);
+        if (practice) {
+            // Loop once the section's last note (or hold) can no longer be hit
+            const section = this.currentChart.slice(this.chartIndex, this.chartEnd);
+            const last = section.reduce((acc, b) => Math.max(acc, b.time + (b.hold || 0)), practice.end);
+            this.practice.loopAt = last + this.judgeWindows.GOOD;
+            this.updatePracticeBadge();
         }
 
         this.updateHUD();
         this.switchScreen('playing');
 
-        this.video.classList.add('visible');
-        this.video.currentTime = 0;
-        this.video.volume = 0.5;
+        // Leave one note-duration of run-up so the first note can travel in
+        const videoStart = Math.max(0, startAt - this.noteDuration);
+        // An audio-only file has no picture to show. A cached chart can start the run before the
+        // metadata is in; until then assume a video, and the loadedmetadata handler corrects it.
+        this.hasVideo = this.video.readyState < HTMLMediaElement.HAVE_METADATA || this.video.videoWidth > 0;
+        this.video.classList.toggle('visible', this.hasVideo);
+        this.video.currentTime = videoStart / 1000;
+        this.applyVolumes();
+        this.setPlaybackRate(practice ? practice.rate : 1);
         this.video.play().catch(e => this.log("Play err: " + e.message));
+        this.clock.reset();
+    }
 
-        this.startTime = performance.now();
-        this.lastAnalysisTime = 0;
-        this.avgEnergy = 0;
+    setPlaybackRate(rate) {
+        // Slowed practice keeps the song's pitch; older engines only know the prefixed flags
+        ['preservesPitch', 'mozPreservesPitch', 'webkitPreservesPitch'].forEach(flag => {
+            if (flag in this.video) this.video[flag] = true;
+        });
+        this.video.playbackRate = rate;
+    }
+
+    chartIndexAt(time) {
+        // First beat at or after time; the chart is sorted by time
+        const chart = this.currentChart;
+        let lo = 0, hi = chart.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (chart[mid].time < time) lo = mid + 1;
+            else hi = mid;
+        }
+        return lo;
+    }
+
+    seekChart(time) {
+        // The scheduler only walks chartIndex forward, so seeking is just moving it; notes in flight go away
+        this.chartIndex = this.chartIndexAt(time);
+        this.notes = [];
+    }
+
+    nextPracticeLoop() {
+        const practice = this.practice;
+        if (practice.loops && practice.loop >= practice.loops) {
+            this.endGame();
+            return;
+        }
+        practice.loop++;
+        this.seekChart(practice.start);
+        this.video.currentTime = Math.max(0, practice.start - this.noteDuration) / 1000;
+        if (this.video.paused) this.video.play().catch(e => this.log("Play err: " + e.message)); // Section ran to the end of the song
+        this.clock.reset();
+        this.updatePracticeBadge();
+    }
+
+    updatePracticeBadge() {
+        const { rate, loop, loops } = this.practice;
+        document.getElementById('replay-badge').innerText = `PRACTICE ${Math.round(rate * 100)}% · LOOP ${loop}${loops ? '/' + loops : ''}`;
+    }
+
+    readAnalysisSettings() {
+        return {
+            noteSpeed: parseFloat(document.getElementById('speed-input').value),
+            minInterval: parseInt(document.getElementById('interval-input').value),
+            quantize: parseInt(document.getElementById('quantize-input').value)
+        };
     }
 
     async analyzeAudio(file) {
-        if (this.isAnalyzing) return;
+        // A new file or new settings replace whatever is running
+        this.cancelAnalysis();
         this.isAnalyzing = true;
         this.analysisData = null;
+        this.renderDifficulties();
+        const id = this.analysisId;
+        let finish;
+        this.analysisDone = new Promise(r => { finish = r; });
         const overlay = document.getElementById('analysis-overlay');
         const status = document.getElementById('analysis-status');
         overlay.style.display = 'flex';
-        status.innerText = "Decoding audio...";
+        status.innerText = "Checking cache...";
+        this.setAnalysisProgress(null);
 
         try {
+            const settings = this.readAnalysisSettings();
+            const fingerprint = await this.getFingerprint(file);
+            const cacheKey = this.getCacheKey(fingerprint, settings);
+            const cached = await this.getCachedAnalysis(cacheKey);
+            if (id !== this.analysisId) return;
+            if (cached) {
+                this.analysisData = cached;
+                this.applyDifficulty();
+                this.updateSongInfo();
+                this.updateLibrarySong(fingerprint);
+                status.innerText = `Ready: ${cached.totalNotes} notes (cached)`;
+                this.setAnalysisProgress(1);
+                this.hideAnalysisOverlay(1000);
+                return;
+            }
+
+            status.innerText = "Decoding audio...";
             const arrayBuffer = await file.arrayBuffer();
             const tempCtx = new (window.AudioContext || window.webkitAudioContext)();
             const audioBuffer = await tempCtx.decodeAudioData(arrayBuffer);
             tempCtx.close();
+            if (id !== this.analysisId) return;
 
-            status.innerText = "Simulating game loop...";
+            status.innerText = "Detecting onsets...";
+            this.setAnalysisProgress(0);
+            // Lanes are seeded from the file so a song always gets the same charts
+            const { samples, sampleRate } = RhythmAnalysis.mixToMono(this.getChannels(audioBuffer), audioBuffer.sampleRate);
+            const result = await this.runAnalysis(id, samples, sampleRate, audioBuffer.duration * 1000, settings, hashString(fingerprint));
+            if (id !== this.analysisId) return;
+            this.analysisData = { ...result, source: 'analysis' };
+            this.applyDifficulty();
+            this.updateSongInfo();
 
-            const offlineCtx = new (window.OfflineAudioContext || window.webkitOfflineAudioContext)(
-                1, audioBuffer.length, audioBuffer.sampleRate
-            );
+            this.storeCachedAnalysis(cacheKey, file, this.analysisData).then(() => this.updateLibrarySong(fingerprint));
 
-            const source = offlineCtx.createBufferSource();
-            source.buffer = audioBuffer;
-            const analyser = offlineCtx.createAnalyser();
-            analyser.fftSize = 256;
-            analyser.smoothingTimeConstant = 0.8; // Match restoration point (default)
-            const gainNode = offlineCtx.createGain();
-            gainNode.gain.value = 0.5;
-            source.connect(gainNode);
-            gainNode.connect(analyser);
-            analyser.connect(offlineCtx.destination);
+            status.innerText = `Ready: ${this.analysisData.totalNotes} notes detected`;
+            this.hideAnalysisOverlay(1000);
 
-            const minInterval = parseInt(document.getElementById('interval-input').value);
-            const noteDuration = parseFloat(document.getElementById('speed-input').value) * 1000;
+        } catch (e) {
+            if (id !== this.analysisId) return; // Cancelled
+            console.error("Analysis error", e);
+            status.innerText = "Analysis failed.";
+            this.hideAnalysisOverlay(2000);
+        } finally {
+            if (id === this.analysisId) this.isAnalyzing = false;
+            finish();
+        }
+    }
 
-            let noteChart = [];
-            this.avgEnergy = 0;
-            this.lastAnalysisTime = -minInterval;
-            const freqData = new Uint8Array(analyser.frequencyBinCount);
+    runAnalysis(id, samples, sampleRate, totalMs, settings, seed) {
+        const onProgress = (value) => { if (id === this.analysisId) this.setAnalysisProgress(value); };
+        // Without a worker (e.g. opened from file://) it runs here and the page stalls meanwhile
+        const runHere = () => new Promise(r => setTimeout(r, 0))
+            .then(() => RhythmAnalysis.analyzeSamples(samples, sampleRate, totalMs, settings, seed, onProgress));
+        if (!this.analysisWorker) {
+            try {
+                this.analysisWorker = new Worker('analysis-worker.js');
+            } catch (e) {
+                this.log("Analysis worker unavailable: " + e.message);
+                return runHere();
+            }
+        }
+        const worker = this.analysisWorker;
+        return new Promise((resolve, reject) => {
+            this.analysisJob = { id, reject };
+            worker.onmessage = (e) => {
+                const msg = e.data;
+                if (msg.id !== id) return;
+                if (msg.type === 'progress') {
+                    onProgress(msg.value);
+                    return;
+                }
+                this.analysisJob = null;
+                if (msg.type === 'done') resolve(msg.result);
+                else reject(new Error(msg.message));
+            };
+            worker.onerror = (e) => {
+                e.preventDefault();
+                this.log("Analysis worker failed: " + (e.message || "script error"));
+                this.analysisJob = null;
+                this.analysisWorker = null;
+                worker.terminate();
+                runHere().then(resolve, reject);
+            };
+            // Copied rather than transferred, so the samples are still here if the worker fails
+            worker.postMessage({ id, samples, sampleRate, totalMs, settings, seed });
+        });
+    }
 
-            source.start(0);
+    cancelAnalysis() {
+        this.analysisId++;
+        this.isAnalyzing = false;
+        const job = this.analysisJob;
+        if (!job) return;
+        // A worker deep in its FFTs will not read messages; stopping it is the only way to cancel
+        this.analysisWorker.terminate();
+        this.analysisWorker = null;
+        this.analysisJob = null;
+        job.reject(new Error("cancelled"));
+    }
 
-            const step = 0.0166; // 60fps sampling (matches restoration point)
-            for (let t = 0; t < audioBuffer.duration; t += step) {
-                offlineCtx.suspend(t).then(() => {
-                    analyser.getByteFrequencyData(freqData);
-                    let energy = (freqData[0] + freqData[1] + freqData[2] + freqData[3] + freqData[4]) / 5;
+    setAnalysisProgress(value) {
+        // null while there is nothing to measure yet (cache lookup, decoding)
+        const bar = document.getElementById('analysis-progress');
+        bar.classList.toggle('indeterminate', value === null);
+        document.getElementById('analysis-progress-fill').style.width = value === null ? '' : `${Math.round(value * 100)}%`;
+        document.getElementById('analysis-percent').innerText = value === null ? '' : `${Math.floor(value * 100)}%`;
+    }
 
-                    const beat = this.handleBeatDetection(t * 1000, energy, audioBuffer.duration, minInterval, noteDuration);
-                    if (beat) noteChart.push(beat);
+    hideAnalysisOverlay(delay) {
+        setTimeout(() => {
+            if (!this.isPlaying && !this.isAnalyzing) document.getElementById('analysis-overlay').style.display = 'none';
+        }, delay);
+    }
 
-                    offlineCtx.resume();
-                });
-            }
+    buildAnalysisData(noteChart, extra = {}) {
+        const { totalNotes, perfectScore } = RhythmScoring.computeChartScore(noteChart);
+        return {
+            totalNotes: totalNotes,
+            perfectScore: perfectScore,
+            targetScore: perfectScore,
+            noteChart: noteChart,
+            ...extra
+        };
+    }
 
-            await offlineCtx.startRendering();
+    getChannels(audioBuffer) {
+        const channels = [];
+        for (let c = 0; c < audioBuffer.numberOfChannels; c++) channels.push(audioBuffer.getChannelData(c));
+        return channels;
+    }
 
-            // Total notes calculation (accounting for simultaneous)
-            const totalNotes = noteChart.reduce((acc, b) => acc + (b.isSimul ? 2 : 1), 0);
+    applyEditedChart(noteChart) {
+        // Only the difficulty being edited changes; the others stay as generated
+        const prev = this.analysisData;
+        const difficulties = prev.difficulties
+            ? { ...prev.difficulties, [this.difficulty]: RhythmAnalysis.buildDifficulty(noteChart, (prev.duration || 0) * 1000) }
+            : null;
+        this.analysisData = this.buildAnalysisData(noteChart, {
+            duration: prev.duration,
+            tempo: prev.tempo,
+            settings: prev.settings,
+            waveform: prev.waveform,
+            seed: prev.seed,
+            ...(difficulties ? { difficulties } : {}),
+            source: 'edited'
+        });
+        this.renderDifficulties();
+    }
 
-            const baseScore = totalNotes * 1000;
-            const comboBonus = 10 * (totalNotes * (totalNotes + 1) / 2);
-            const perfectScore = baseScore + comboBonus;
+    applyDifficulty() {
+        // The active difficulty's chart is what the rest of the game reads from analysisData
+        const data = this.analysisData;
+        if (data && data.difficulties) {
+            const chosen = data.difficulties[this.difficulty] || data.difficulties.normal;
+            Object.assign(data, this.buildAnalysisData(chosen.noteChart));
+        }
+        this.renderDifficulties();
+    }
 
-            this.analysisData = {
-                totalNotes: totalNotes,
-                perfectScore: perfectScore,
-                targetScore: perfectScore,
-                noteChart: noteChart
-            };
+    selectDifficulty(name) {
+        if (!DIFFICULTIES[name] || this.isAnalyzing) return;
+        const data = this.analysisData;
+        if (data && !data.difficulties) return; // A loaded chart file is a single difficulty
+        this.difficulty = name;
+        this.settings.difficulty = name;
+        this.saveSettings();
+        this.applyDifficulty();
+    }
 
-            status.innerText = `Ready: ${totalNotes} notes detected`;
-            setTimeout(() => { if (!this.isPlaying) overlay.style.display = 'none'; }, 1000);
+    renderDifficulties() {
+        const data = this.analysisData;
+        document.querySelectorAll('.diff-btn').forEach(btn => {
+            const name = btn.dataset.diff;
+            const entry = data && data.difficulties ? data.difficulties[name] : null;
+            // A loaded chart file only has the chart it was saved with
+            const single = data && !data.difficulties && name === this.difficulty ? data : null;
+            btn.classList.toggle('selected', name === this.difficulty);
+            btn.disabled = !!data && !entry && !single;
+            const info = entry || single;
+            btn.querySelector('.diff-stars').innerText = info && info.stars ? '★' + info.stars : '★-';
+            btn.querySelector('.diff-notes').innerText = info ? `${info.totalNotes} NOTES` : '-- NOTES';
+        });
+    }
 
+    async ensureWaveform() {
+        // Loaded chart files carry no waveform; decode the audio once for the editor
+        const data = this.analysisData;
+        if (!data || data.waveform || !this.currentFile) return;
+        const arrayBuffer = await this.currentFile.arrayBuffer();
+        const tempCtx = new (window.AudioContext || window.webkitAudioContext)();
+        const audioBuffer = await tempCtx.decodeAudioData(arrayBuffer);
+        tempCtx.close();
+        const { samples, sampleRate } = RhythmAnalysis.mixToMono(this.getChannels(audioBuffer), audioBuffer.sampleRate);
+        data.waveform = RhythmAnalysis.computeWaveform(samples, sampleRate);
+        if (!data.duration) data.duration = audioBuffer.duration;
+    }
+
+    async getFingerprint(file = this.currentFile) {
+        if (!file) return null;
+        if (!this.currentFingerprint || this.currentFingerprint.file !== file) {
+            const readSlice = (start, end) => file.slice(start, end).arrayBuffer().then(b => new Uint8Array(b));
+            this.currentFingerprint = { file, value: await RhythmAnalysis.fingerprint(file.size, readSlice) };
+        }
+        return this.currentFingerprint.value;
+    }
+
+    // Chart cache: finished analyses keyed by file fingerprint + analysis parameters
+    getCacheKey(fingerprint, settings) {
+        return `${fingerprint}|v${ANALYSIS_VERSION}|speed=${settings.noteSpeed}|interval=${settings.minInterval}|snap=${settings.quantize}`;
+    }
+
+    async getCachedAnalysis(key) {
+        try {
+            const entry = await this.store.get('charts', key);
+            if (!entry) return null;
+            entry.lastUsed = Date.now();
+            this.store.put('charts', entry).catch(() => { });
+            return entry.data;
         } catch (e) {
-            console.error("Analysis error", e);
-            status.innerText = "Analysis failed.";
-            setTimeout(() => { if (!this.isPlaying) overlay.style.display = 'none'; }, 2000);
-        } finally {
-            this.isAnalyzing = false;
+            this.log("Cache read failed: " + e.message);
+            return null;
         }
     }
 
-    handleBeatDetection(now, energy, totalDuration, minInterval, noteDuration) {
-        if (this.avgEnergy === 0) this.avgEnergy = energy;
-        else this.avgEnergy = this.avgEnergy * 0.95 + energy * 0.05;
+    async storeCachedAnalysis(key, file, data) {
+        try {
+            const now = Date.now();
+            await this.store.put('charts', {
+                key,
+                fileName: file.name,
+                size: JSON.stringify(data).length,
+                createdAt: now,
+                lastUsed: now,
+                data
+            });
+            await this.evictChartCache();
+        } catch (e) {
+            this.log("Cache write failed: " + e.message);
+        }
+        this.updateCacheInfo();
+    }
 
-        const sensitivity = 1.02; // Restored to 1.02
-        const isBeat = energy > this.avgEnergy * sensitivity && energy > 20; // Restored to 20
-        const isTime = now - this.lastAnalysisTime > minInterval;
-        const remainingTime = (totalDuration * 1000) - now;
-        const canSpawn = remainingTime > (noteDuration + 500);
+    async evictChartCache() {
+        // Least recently used entries go first until both limits are met
+        const entries = (await this.store.getAll('charts')).sort((a, b) => a.lastUsed - b.lastUsed);
+        let totalBytes = entries.reduce((acc, e) => acc + e.size, 0);
+        while (entries.length > 0 && (entries.length > CHART_CACHE_MAX_ENTRIES || totalBytes > CHART_CACHE_MAX_BYTES)) {
+            const old = entries.shift();
+            totalBytes -= old.size;
+            await this.store.delete('charts', old.key);
+        }
+    }
 
-        if (isBeat && isTime && canSpawn) {
-            const intensity = energy / this.avgEnergy;
-            this.lastAnalysisTime = now;
+    async clearChartCache() {
+        try {
+            await this.store.clear('charts');
+        } catch (e) {
+            this.log("Cache clear failed: " + e.message);
+        }
+        this.updateCacheInfo();
+    }
 
-            let simulChance = 10;
-            if (intensity > 1.6) simulChance = 40;
-            const isSimul = (Math.floor(now * 10) % 100) < simulChance;
+    async updateCacheInfo() {
+        const el = document.getElementById('cache-info');
+        try {
+            const entries = await this.store.getAll('charts');
+            const bytes = entries.reduce((acc, e) => acc + e.size, 0);
+            el.innerText = `Cache: ${entries.length} chart${entries.length === 1 ? '' : 's'}, ${(bytes / 1024 / 1024).toFixed(1)} MB`;
+        } catch (e) {
+            el.innerText = "Cache unavailable";
+        }
+    }
 
-            if (this.isAnalyzing) {
-                return { time: now, intensity, isSimul };
-            } else {
-                // This branch is now legacy since we use charts, but kept as fallback
-                this.spawnNote(intensity, isSimul);
-                return null;
-            }
+    async saveChart() {
+        if (!this.currentFile || !this.analysisData || !this.analysisData.noteChart) {
+            alert("No chart yet. Select a song and wait for the analysis to finish.");
+            return;
         }
-        return null;
+        const data = this.analysisData;
+        const doc = RhythmAnalysis.buildChartDoc({
+            audio: {
+                fileName: this.currentFile.name,
+                fingerprint: await this.getFingerprint(),
+                duration: data.duration || null
+            },
+            tempo: data.tempo,
+            settings: data.settings || this.readAnalysisSettings(),
+            difficulty: this.difficulty,
+            seed: data.seed,
+            noteChart: data.noteChart
+        });
+
+        const blob = new Blob([JSON.stringify(doc)], { type: 'application/json' });
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(blob);
+        a.download = this.currentFile.name.replace(/\.[^.]+$/, '') + '.chart.json';
+        a.click();
+        setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+    }
+
+    async loadChartFile(file) {
+        if (!this.currentFile) {
+            alert("Please select the song for this chart first!");
+            return;
+        }
+
+        let doc, noteChart;
+        try {
+            doc = JSON.parse(await file.text());
+            noteChart = RhythmAnalysis.parseChart(doc, this.numTargets);
+        } catch (e) {
+            alert("Could not load chart: " + e.message);
+            return;
+        }
+
+        const expected = doc.audio && doc.audio.fingerprint;
+        if (expected && expected !== await this.getFingerprint()) {
+            const name = (doc.audio && doc.audio.fileName) || 'another file';
+            if (!confirm(`This chart was made for "${name}" and does not match the selected song.\nLoad it anyway?`)) return;
+        }
+
+        // Apply the chart's settings to the sliders without triggering re-analysis
+        const settings = { ...this.readAnalysisSettings(), ...doc.settings };
+        [['speed', settings.noteSpeed], ['interval', settings.minInterval]].forEach(([name, val]) => {
+            if (!Number.isFinite(val)) return;
+            const input = document.getElementById(`${name}-input`);
+            input.value = val;
+            document.getElementById(`${name}-display`).innerText = input.value;
+        });
+        if ([0, 4, 8, 16].includes(settings.quantize)) {
+            document.getElementById('quantize-input').value = settings.quantize;
+        }
+
+        if (DIFFICULTIES[doc.difficulty]) this.difficulty = doc.difficulty;
+        this.cancelAnalysis(); // The loaded chart replaces any analysis still running for this file
+        this.analysisData = this.buildAnalysisData(noteChart, {
+            duration: (doc.audio && doc.audio.duration) || null,
+            tempo: (doc.tempo && Number.isFinite(doc.tempo.bpm)) ? doc.tempo : null,
+            settings: this.readAnalysisSettings(),
+            seed: RhythmAnalysis.getChartDocSeed(doc),
+            source: 'file'
+        });
+        this.renderDifficulties();
+        this.updateSongInfo();
+
+        document.getElementById('analysis-overlay').style.display = 'flex';
+        document.getElementById('analysis-status').innerText = `Chart loaded: ${this.analysisData.totalNotes} notes`;
+        this.setAnalysisProgress(1);
+        this.hideAnalysisOverlay(1000);
+    }
+
+    updateSongInfo() {
+        const tempo = this.analysisData && this.analysisData.tempo;
+        document.getElementById('song-bpm').innerText = tempo ? `BPM ${Math.round(tempo.bpm)}` : 'BPM --';
     }
 
     togglePause() {
@@ -404,199 +1898,841 @@ class GameEngine {
             this.video.pause();
             if (this.audioCtx) this.audioCtx.suspend();
             pauseScreen.classList.add('active');
-            // Store pause time to adjust startTime on resume?
-            this.pauseStartTime = performance.now();
         } else {
+            // The song clock follows the video, so there is no time to patch up here
             this.video.play();
             if (this.audioCtx) this.audioCtx.resume();
             pauseScreen.classList.remove('active');
-            // Adjust startTime by the duration paused
-            const pauseDuration = performance.now() - this.pauseStartTime;
-            this.startTime += pauseDuration;
         }
     }
 
-    spawnNote(intensity = 1.0, isSimulOverride = null) {
-        if (this.isPaused) return;
-        const now = this.video.currentTime * 1000;
+    getChartId() {
+        // Identifies the exact notes played, whether generated, loaded or edited
+        const chart = this.analysisData ? this.analysisData.noteChart : [];
+        const text = JSON.stringify(chart.map(b => [Math.round(b.time), b.targets, b.hold || 0]));
+        return hashString(text).toString(16).padStart(8, '0');
+    }
+
+    // --- Replays: every press and release of a run, replayed through checkHit() ---
+
+    recordInput(target, type, time) {
+        if (!this.recording || this.replay) return;
+        this.recording.events.push({ time: Math.round(time * 100) / 100, target, type });
+    }
+
+    async saveReplay() {
+        const rec = this.recording;
+        this.recording = null;
+        if (!rec) return null;
+        // Everything from the run is taken before the first await: RETRY may reset it meanwhile,
+        // and endGame() shows WATCH REPLAY from lastReplay straight away
+        const replay = {
+            ...rec,
+            createdAt: Date.now(),
+            fileName: this.currentFile ? this.currentFile.name : null,
+            fingerprint: null,
+            score: this.score,
+            stats: { ...this.stats },
+            maxCombo: this.maxCombo
+        };
+        this.lastReplay = replay;
+        try {
+            replay.fingerprint = await this.getFingerprint();
+            replay.id = await this.store.put('replays', replay);
+            const all = await this.store.getAll('replays');
+            for (const old of all.sort((a, b) => a.createdAt - b.createdAt).slice(0, Math.max(0, all.length - REPLAY_MAX_ENTRIES))) {
+                await this.store.delete('replays', old.id);
+            }
+        } catch (e) {
+            this.log("Replay save failed: " + e.message);
+        }
+        return replay.id || null;
+    }
+
+    watchReplay(replay = this.lastReplay) {
+        if (!replay) return;
+        if (replay.chartId !== this.getChartId()) {
+            alert("This replay was recorded on a different chart.");
+            return;
+        }
+        this.startGame({ startAt: replay.startAt, replay });
+    }
+
+    feedReplay(now) {
+        // Inputs go in at their recorded times, not at frame times, so judgments repeat exactly
+        const replay = this.replay;
+        while (replay.next < replay.events.length && replay.events[replay.next].time <= now) {
+            const ev = replay.events[replay.next++];
+            if (ev.type === 'press') {
+                replay.held.add(ev.target);
+                this.checkHit(ev.target, ev.time);
+            } else {
+                replay.held.delete(ev.target);
+                this.updateHolds(ev.time - this.judgeOffset);
+            }
+        }
+    }
+
+    // --- Autoplay: presses land exactly on each arrival time, so every judgment is PERFECT ---
+
+    feedAutoplay(now) {
+        const held = this.autoplay.held;
+        held.forEach((until, t) => { if (now >= until) held.delete(t); });
+        // Simultaneous notes each get their own press in the same frame
+        this.notes.forEach(note => {
+            if (note.processed || note.isHolding) return;
+            const arrTime = note.spawnTime + note.duration;
+            if (arrTime > now) return;
+            const until = arrTime + (note.type === 'hold' ? note.holdDuration : AUTOPLAY_TAP_MS);
+            held.set(note.targetIdx, Math.max(until, held.get(note.targetIdx) || 0)); // A tap must not end a hold
+            this.checkHit(note.targetIdx, arrTime + this.judgeOffset);
+        });
+    }
+
+    updateAttract() {
+        // Idle on the menu with a chart ready: play it as a demo, then come back and wait again
+        if (this.gameState !== 'menu' || !this.analysisData || this.isAnalyzing) return;
+        if (performance.now() - this.lastActivity < ATTRACT_IDLE_MS) return;
+        this.lastActivity = performance.now();
+        this.startGame({ autoplay: true, demo: true });
+    }
+
+    wakeFromDemo() {
+        this.lastActivity = performance.now();
+        if (this.gameState !== 'playing' || !this.playOptions.demo) return false;
+        this.endGame();
+        return true;
+    }
+
+    trackReleases(now) {
+        // Releases are noticed once per frame, which is also when holds are judged
+        const held = new Set(this.activeTouches.values());
+        this.heldTargets.forEach(t => { if (!held.has(t)) this.recordInput(t, 'release', now); });
+        this.heldTargets = held;
+    }
+
+    spawnNote(beat) {
+        if (this.isPaused) return;
+        // Chart times are hit times; the note leaves the center one note-duration earlier
+        const duration = this.getNoteDuration(beat.time);
+        const spawnTime = beat.time - duration;
+        const targets = beat.targets.map(t => this.laneMap[t]);
+        const type = beat.hold > 0 ? 'hold' : 'normal';
+        targets.forEach(t => this.addNote(t, spawnTime, duration, type, beat.hold || 0, targets.length > 1));
+        this.spawnedNoteCount += targets.length;
+    }
+
+    setupModifiers(modifiers) {
+        this.modifiers = modifiers;
+        const n = this.numTargets;
+        this.laneMap = [...Array(n).keys()];
+        if (modifiers.lanes === 'mirror') {
+            this.laneMap.reverse();
+        } else if (modifiers.lanes === 'shuffle') {
+            // Seeded so a replay of this run gets the same lanes
+            const rng = mulberry32(modifiers.shuffleSeed || 0);
+            for (let i = n - 1; i > 0; i--) {
+                const j = Math.floor(rng() * (i + 1));
+                [this.laneMap[i], this.laneMap[j]] = [this.laneMap[j], this.laneMap[i]];
+            }
+        }
+    }
+
+    renderJudgeWindows() {
+        // Presets show their windows read-only; CUSTOM makes them editable
+        const custom = this.settings.judge === 'custom';
+        const windows = this.getJudgeWindows();
+        document.querySelectorAll('.judge-window').forEach(input => {
+            input.value = windows[input.dataset.window];
+            input.disabled = !custom;
+        });
+    }
+
+    getJudgeWindows() {
+        return this.settings.judge === 'custom' ? { ...this.settings.customWindows } : { ...JUDGE_PRESETS[this.settings.judge] };
+    }
+
+    getJudgeLabel(settings) {
+        // Empty for the default, so results and history only mention a changed preset
+        const preset = settings && settings.judge;
+        if (!preset || preset === 'standard' || !JUDGE_LABELS[preset]) return '';
+        const w = settings.judgeWindows;
+        return preset === 'custom' && w ? `JUDGE ${w.PERFECT}/${w.GREAT}/${w.GOOD}` : `${JUDGE_LABELS[preset]} JUDGE`;
+    }
+
+    getModifierLabels(modifiers) {
+        if (!modifiers) return [];
+        const labels = [];
+        if (MODIFIER_LABELS.lanes[modifiers.lanes]) labels.push(MODIFIER_LABELS.lanes[modifiers.lanes]);
+        if (modifiers.hidden) labels.push('HIDDEN');
+        if (modifiers.sudden) labels.push('SUDDEN');
+        if (MODIFIER_LABELS.speed[modifiers.speed]) labels.push(MODIFIER_LABELS.speed[modifiers.speed]);
+        return labels;
+    }
+
+    getNoteDuration(hitTime) {
+        // Scroll speed modifiers shorten or stretch the approach; hit times never move.
+        // Changes are gradual so notes still spawn in chart order.
+        const songMs = (this.analysisData && this.analysisData.duration ? this.analysisData.duration : 180) * 1000;
+        const pos = Math.max(0, Math.min(1, hitTime / songMs));
+        let factor = 1;
+        switch (this.modifiers.speed) {
+            case 'ramp': factor = 1 + 0.6 * pos; break;
+            case 'wave': factor = 1 + 0.275 * Math.sin(hitTime / 20000 * Math.PI * 2) + 0.025; break;
+            case 'shift': factor = 1 + 0.5 * Math.max(0, Math.min(1, (hitTime - songMs / 2) / 2000)); break;
+        }
+        return this.noteDuration / factor;
+    }
+
+    getNoteAlpha(progress) {
+        // HIDDEN fades notes out before the target, SUDDEN keeps them invisible until late
+        const fade = (p, [from, to]) => Math.max(0, Math.min(1, (p - from) / (to - from)));
+        let alpha = 1;
+        if (this.modifiers.hidden) alpha = Math.min(alpha, 1 - fade(progress, HIDDEN_FADE));
+        if (this.modifiers.sudden) alpha = Math.min(alpha, fade(progress, SUDDEN_FADE));
+        return alpha;
+    }
+
+    addNote(targetIdx, spawnTime, duration, type, holdDuration = 0, isSimultaneous = false) {
+        this.notes.push({
+            targetIdx, spawnTime, duration, type, holdDuration,
+            isSimultaneous,
+            isHolding: false,
+            processed: false
+        });
+    }
+
+    // Input Handling
+    getHitTargetIdx(cx, cy) {
+        const rect = this.canvas.getBoundingClientRect();
+        const x = cx - rect.left;
+        const y = cy - rect.top;
+        let closest = -1;
+        let minDist = 70;
+        this.targetPoints.forEach((pt, i) => {
+            const d = Math.sqrt((x - pt.x) ** 2 + (y - pt.y) ** 2);
+            if (d < minDist) { minDist = d; closest = i; }
+        });
+        return closest;
+    }
+
+    handleTouchStart(e) {
+        e.preventDefault();
+        this.lastInput = 'pointer';
+        for (let i = 0; i < e.changedTouches.length; i++) {
+            const t = e.changedTouches[i];
+            const idx = this.getHitTargetIdx(t.clientX, t.clientY);
+            if (idx !== -1) {
+                this.activeTouches.set(t.identifier, idx);
+                this.checkHit(idx);
+            }
+        }
+    }
+
+    handleTouchMove(e) {
+        e.preventDefault();
+        for (let i = 0; i < e.changedTouches.length; i++) {
+            const t = e.changedTouches[i];
+            const idx = this.getHitTargetIdx(t.clientX, t.clientY);
+            const prev = this.activeTouches.get(t.identifier);
+            if (idx !== -1 && idx !== prev) {
+                this.activeTouches.set(t.identifier, idx);
+            } else if (idx === -1) {
+                this.activeTouches.delete(t.identifier);
+            }
+        }
+    }
+
+    handleTouchEnd(e) {
+        e.preventDefault();
+        for (let i = 0; i < e.changedTouches.length; i++) {
+            this.activeTouches.delete(e.changedTouches[i].identifier);
+        }
+    }
+
+    handleMouseDown(e) {
+        this.lastInput = 'pointer';
+        const idx = this.getHitTargetIdx(e.clientX, e.clientY);
+        if (idx !== -1) {
+            this.activeTouches.set('mouse', idx);
+            this.checkHit(idx);
+        }
+    }
+    handleMouseMove(e) {
+        const idx = this.getHitTargetIdx(e.clientX, e.clientY);
+        if (idx !== -1 && this.activeTouches.has('mouse')) {
+            this.activeTouches.set('mouse', idx);
+        } else if (idx === -1) {
+            this.activeTouches.delete('mouse');
+        }
+    }
+    handleMouseUp(e) {
+        this.activeTouches.delete('mouse');
+    }
+
+    // Keyboard: each bound key acts like a finger on its target
+    keyLabel(code) {
+        const arrows = { ArrowLeft: '←', ArrowUp: '↑', ArrowRight: '→', ArrowDown: '↓' };
+        return arrows[code] || code.replace(/^(Key|Digit|Numpad)/, '');
+    }
+
+    handleKeyDown(e) {
+        if (this.rebindTarget !== null) {
+            e.preventDefault();
+            if (e.code === 'Escape') {
+                this.rebindTarget = null;
+            } else if (!RESERVED_KEYS.includes(e.code)) {
+                // Taking a key from another target swaps the two
+                const bindings = this.settings.keyBindings;
+                const prev = bindings.indexOf(e.code);
+                if (prev !== -1) bindings[prev] = bindings[this.rebindTarget];
+                bindings[this.rebindTarget] = e.code;
+                this.rebindTarget = null;
+                this.saveSettings();
+            }
+            this.renderKeyBindings();
+            return;
+        }
+
+        if (this.gameState === 'editor') {
+            this.editor.handleKey(e);
+            return;
+        }
+        if (this.gameState === 'calibration' && this.calibration && e.code !== 'Escape') {
+            e.preventDefault();
+            if (!e.repeat) this.calibrationTap();
+            return;
+        }
+        if (this.gameState !== 'playing') return;
+        if (RESERVED_KEYS.includes(e.code)) {
+            e.preventDefault();
+            if (!e.repeat) this.togglePause();
+            return;
+        }
+
+        const idx = this.settings.keyBindings.indexOf(e.code);
+        if (idx === -1) return;
+        e.preventDefault();
+        const id = 'key:' + e.code;
+        // Auto-repeat must not count as new presses
+        if (e.repeat || this.activeTouches.has(id) || this.isPaused) return;
+        this.lastInput = 'keyboard';
+        this.activeTouches.set(id, idx);
+        this.checkHit(idx);
+    }
+
+    handleKeyUp(e) {
+        this.activeTouches.delete('key:' + e.code);
+    }
+
+    releaseKeys() {
+        // Key-ups are lost while the window is unfocused; don't leave holds stuck
+        for (const id of [...this.activeTouches.keys()]) {
+            if (typeof id === 'string' && id.startsWith('key:')) this.activeTouches.delete(id);
+        }
+    }
+
+    renderSettings() {
+        this.renderKeyBindings();
+        this.renderPadBindings();
+        this.updatePadStatus();
+        this.renderOffsets();
+        this.renderAudioSettings();
+    }
+
+    async renderAudioSettings() {
+        Object.keys(DEFAULT_VOLUME).forEach(key => {
+            document.getElementById(`${key}-volume-input`).value = this.settings.volume[key];
+            document.getElementById(`${key}-volume-display`).innerText = this.settings.volume[key];
+        });
+        const select = document.getElementById('hit-sound-input');
+        const custom = select.querySelector('option[value="custom"]');
+        let stored = null;
+        try {
+            stored = await this.store.get('sounds', 'custom');
+        } catch (e) {
+            this.log("Hit sound lookup failed: " + e.message);
+        }
+        custom.disabled = !stored;
+        custom.innerText = stored ? `CUSTOM: ${stored.name}` : 'CUSTOM (LOAD SOUND)';
+        select.value = this.settings.hitSound;
+    }
+
+    renderKeyBindings() {
+        const container = document.getElementById('key-bindings');
+        const focused = [...container.children].indexOf(this.padFocus);
+        container.innerHTML = '';
+        this.settings.keyBindings.forEach((code, i) => {
+            const btn = document.createElement('button');
+            btn.className = 'key-btn' + (this.rebindTarget === i ? ' listening' : '');
+            btn.style.setProperty('--target-color', this.targetPoints[i].color);
+            btn.innerText = this.rebindTarget === i ? '...' : this.keyLabel(code);
+            btn.onclick = () => {
+                this.rebindTarget = (this.rebindTarget === i) ? null : i;
+                this.renderKeyBindings();
+            };
+            container.appendChild(btn);
+        });
+        if (focused !== -1) this.setPadFocus(container.children[focused]);
+    }
+
+    // --- Gamepad: polled once per frame from renderLoop() ---
+    padLabel(buttons) {
+        return buttons.map(b => PAD_BUTTON_NAMES[b] || `B${b}`).join('/');
+    }
+
+    renderPadBindings() {
+        const container = document.getElementById('pad-bindings');
+        const focused = [...container.children].indexOf(this.padFocus);
+        container.innerHTML = '';
+        this.settings.padBindings.forEach((buttons, i) => {
+            const btn = document.createElement('button');
+            btn.className = 'key-btn' + (this.rebindPadTarget === i ? ' listening' : '');
+            btn.style.setProperty('--target-color', this.targetPoints[i].color);
+            btn.innerText = this.rebindPadTarget === i ? '...' : this.padLabel(buttons);
+            btn.onclick = () => {
+                this.rebindPadTarget = (this.rebindPadTarget === i) ? null : i;
+                this.renderPadBindings();
+            };
+            container.appendChild(btn);
+        });
+        if (focused !== -1) this.setPadFocus(container.children[focused]);
+    }
+
+    updatePadStatus() {
+        const pads = navigator.getGamepads ? [...navigator.getGamepads()].filter(p => p && p.connected) : [];
+        document.getElementById('pad-status').innerText = pads.length
+            ? `Connected: ${pads.map(p => p.id).join(', ')}`
+            : "No controller detected";
+    }
+
+    bindPadButton(button) {
+        // Taking the only button of another target hands it this target's old buttons
+        const bindings = this.settings.padBindings;
+        const target = this.rebindPadTarget;
+        const previous = bindings[target];
+        bindings.forEach((list, i) => {
+            if (i === target) return;
+            bindings[i] = list.filter(b => b !== button);
+            if (bindings[i].length === 0) bindings[i] = previous.filter(b => b !== button);
+        });
+        bindings[target] = [button];
+        this.rebindPadTarget = null;
+        this.saveSettings();
+        this.renderPadBindings();
+    }
+
+    pollGamepads() {
+        if (!navigator.getGamepads) return;
+        const pads = [...navigator.getGamepads()].filter(p => p && p.connected);
+
+        // Forget pads that went away, including anything they were holding
+        for (const index of [...this.padButtons.keys()]) {
+            if (!pads.some(p => p.index === index)) {
+                this.padButtons.delete(index);
+                this.releasePad(index);
+            }
+        }
+
+        for (const pad of pads) {
+            const prev = this.padButtons.get(pad.index) || [];
+            const pressed = pad.buttons.map(b => b.pressed || b.value > 0.5);
+            this.padButtons.set(pad.index, pressed);
+            const justPressed = i => pressed[i] && !prev[i];
+            if (pressed.some((p, i) => p && !prev[i]) && this.wakeFromDemo()) continue;
+
+            if (this.rebindPadTarget !== null) {
+                const button = pressed.findIndex((p, i) => p && !prev[i]);
+                if (button !== -1) this.bindPadButton(button);
+                continue;
+            }
+
+            if (this.gameState === 'playing' && !this.isPaused) {
+                this.updatePadTargets(pad, pressed);
+                if (justPressed(PAD_START)) this.togglePause();
+            } else if (this.gameState === 'calibration' && this.calibration) {
+                if (justPressed(PAD_BACK)) document.getElementById('calib-back-btn').click();
+                else if (pressed.some((p, i) => p && !prev[i])) this.calibrationTap();
+            } else {
+                this.releasePad(pad.index);
+                this.navigateWithPad(pad, pressed, justPressed);
+            }
+        }
+    }
+
+    updatePadTargets(pad, pressed) {
+        this.settings.padBindings.forEach((buttons, target) => {
+            const id = `pad:${pad.index}:${target}`;
+            const down = buttons.some(b => pressed[b]);
+            if (down && !this.activeTouches.has(id)) {
+                this.lastInput = 'gamepad';
+                this.activeTouches.set(id, target);
+                this.checkHit(target);
+            } else if (!down) {
+                this.activeTouches.delete(id);
+            }
+        });
+    }
+
+    releasePad(index) {
+        for (const id of [...this.activeTouches.keys()]) {
+            if (typeof id === 'string' && id.startsWith(`pad:${index}:`)) this.activeTouches.delete(id);
+        }
+    }
+
+    navigateWithPad(pad, pressed, justPressed) {
+        const x = pad.axes[0] || 0, y = pad.axes[1] || 0;
+        let dir = null;
+        if (pressed[PAD_UP] || y < -0.5) dir = 'up';
+        else if (pressed[PAD_DOWN] || y > 0.5) dir = 'down';
+        else if (pressed[PAD_LEFT] || x < -0.5) dir = 'left';
+        else if (pressed[PAD_RIGHT] || x > 0.5) dir = 'right';
+
+        // Held directions repeat after a short delay, like a keyboard
+        const now = performance.now();
+        if (dir) {
+            this.lastInput = 'gamepad';
+            if (!this.padNav || this.padNav.pad !== pad.index || this.padNav.dir !== dir) {
+                this.padNav = { pad: pad.index, dir, nextAt: now + 400 };
+                this.moveFocus(dir);
+            } else if (now >= this.padNav.nextAt) {
+                this.padNav.nextAt = now + 120;
+                this.moveFocus(dir);
+            }
+        } else if (this.padNav && this.padNav.pad === pad.index) {
+            this.padNav = null;
+        }
+
+        if (justPressed(PAD_CONFIRM)) {
+            this.lastInput = 'gamepad';
+            this.activateFocus();
+        } else if (justPressed(PAD_BACK)) {
+            this.lastInput = 'gamepad';
+            this.padBack();
+        } else if (justPressed(PAD_START)) {
+            this.lastInput = 'gamepad';
+            if (this.isPaused) this.togglePause();
+            else this.activateFocus();
+        }
+    }
+
+    // --- Latency calibration: tap along, once to clicks (input offset), once to flashes (visual offset) ---
+
+    renderOffsets() {
+        [['input', this.settings.inputOffset], ['visual', this.settings.visualOffset]].forEach(([name, val]) => {
+            document.getElementById(`${name}-offset-input`).value = val;
+            document.getElementById(`${name}-offset-display`).innerText = (val > 0 ? '+' : '') + val;
+        });
+    }
+
+    startCalibration() {
+        this.initAudio();
+        if (this.audioCtx.state === 'suspended') this.audioCtx.resume();
+        this.calibration = { phase: 'audio', results: {} };
+        document.getElementById('calib-result').innerText = '';
+        this.startCalibrationPhase();
+    }
+
+    startCalibrationPhase() {
+        const calib = this.calibration;
+        const audio = calib.phase === 'audio';
+        document.getElementById('calib-step').innerText = audio
+            ? "1/2 · Listen and tap on every click."
+            : "2/2 · Watch the circle and tap on every flash.";
+        document.getElementById('calib-start-btn').style.display = 'none';
+
+        // Beats are kept on the performance.now() clock; clicks are scheduled on the matching audio time
+        const lead = 1000;
+        const t0 = performance.now() + lead;
+        calib.beats = [];
+        calib.taps = [];
+        calib.lastFlash = -1;
+        for (let i = 0; i < CALIB_COUNT_IN + CALIB_BEATS; i++) calib.beats.push(t0 + i * CALIB_INTERVAL);
+        calib.endTime = calib.beats[calib.beats.length - 1] + CALIB_INTERVAL;
+
+        if (audio) {
+            const ctx = this.audioCtx;
+            const audioT0 = ctx.currentTime + lead / 1000;
+            calib.beats.forEach((_, i) => {
+                const when = audioT0 + i * CALIB_INTERVAL / 1000;
+                const osc = ctx.createOscillator();
+                const gain = ctx.createGain();
+                osc.frequency.value = i < CALIB_COUNT_IN ? 1320 : 880;
+                gain.gain.setValueAtTime(0.5, when);
+                gain.gain.exponentialRampToValueAtTime(0.001, when + 0.05);
+                osc.connect(gain);
+                gain.connect(this.masterGain || ctx.destination);
+                osc.start(when);
+                osc.stop(when + 0.06);
+            });
+        }
+    }
+
+    calibrationTap() {
+        const calib = this.calibration;
+        if (!calib || !calib.beats) return;
+        const now = performance.now();
+        // Count-in beats only set the pace
+        const measured = calib.beats.slice(CALIB_COUNT_IN);
+        const nearest = measured.reduce((best, b) => Math.abs(now - b) < Math.abs(now - best) ? b : best, Infinity);
+        const error = now - nearest;
+        if (Math.abs(error) < CALIB_INTERVAL / 2) calib.taps.push(error);
+
+        const pad = document.getElementById('calib-pad');
+        pad.style.borderColor = 'white';
+        setTimeout(() => { pad.style.borderColor = ''; }, 80);
+    }
+
+    updateCalibration() {
+        const calib = this.calibration;
+        if (!calib || !calib.beats || this.gameState !== 'calibration') return;
+        const now = performance.now();
+        const pad = document.getElementById('calib-pad');
+
+        const beat = calib.beats.findIndex(b => now < b + CALIB_INTERVAL);
+        if (beat !== -1 && now >= calib.beats[0]) {
+            const count = beat < CALIB_COUNT_IN ? CALIB_COUNT_IN - beat : '';
+            document.getElementById('calib-count').innerText = count;
+        }
+        if (calib.phase === 'visual') {
+            pad.classList.toggle('flash', calib.beats.some(b => now >= b && now < b + 100));
+        }
 
-        const getRandomTarget = (exclude = []) => {
-            let idx;
-            do { idx = Math.floor(Math.random() * this.numTargets); } while (exclude.includes(idx));
-            return idx;
-        };
+        if (now < calib.endTime) return;
+        pad.classList.remove('flash');
+        document.getElementById('calib-count').innerText = '';
 
-        let isSimul;
-        if (isSimulOverride !== null) {
-            isSimul = isSimulOverride;
-        } else {
-            let simulChance = 10;
-            if (intensity > 1.6) simulChance = 40;
-            isSimul = (Math.floor(now * 10) % 100) < simulChance;
+        if (calib.taps.length < CALIB_MIN_TAPS) {
+            this.stopCalibration(`Only ${calib.taps.length} taps counted. Try again.`);
+            return;
         }
+        const sorted = calib.taps.slice().sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        calib.results[calib.phase] = sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
 
-        if (isSimul) {
-            const t1 = getRandomTarget();
-            const t2 = getRandomTarget([t1]);
-            this.addNote(t1, now, this.noteDuration, 'normal', 0, true);
-            this.addNote(t2, now, this.noteDuration, 'normal', 0, true);
-            this.spawnedNoteCount += 2;
-        } else {
-            const t = getRandomTarget();
-            this.addNote(t, now, this.noteDuration, 'normal');
-            this.spawnedNoteCount++;
+        if (calib.phase === 'audio') {
+            calib.phase = 'visual';
+            this.startCalibrationPhase();
+            return;
         }
+
+        // Judgments follow the audio, so the visual offset is relative to the input offset
+        const clamp = (v, [lo, hi]) => Math.max(lo, Math.min(hi, Math.round(v / 5) * 5));
+        this.settings.inputOffset = clamp(calib.results.audio, INPUT_OFFSET_RANGE);
+        this.settings.visualOffset = clamp(calib.results.visual - calib.results.audio, VISUAL_OFFSET_RANGE);
+        this.saveSettings();
+        this.renderOffsets();
+        this.stopCalibration(`INPUT ${this.settings.inputOffset} ms · VISUAL ${this.settings.visualOffset} ms · SAVED`);
     }
 
-    addNote(targetIdx, spawnTime, duration, type, holdDuration = 0, isSimultaneous = false) {
-        this.notes.push({
-            targetIdx, spawnTime, duration, type, holdDuration,
-            isSimultaneous,
-            isHolding: false,
-            processed: false
-        });
+    stopCalibration(message = '') {
+        this.calibration = null;
+        document.getElementById('calib-pad').classList.remove('flash');
+        document.getElementById('calib-count').innerText = '';
+        document.getElementById('calib-result').innerText = message;
+        document.getElementById('calib-step').innerText = "Tap along to the clicks. Any key, button or the circle counts.";
+        document.getElementById('calib-start-btn').style.display = '';
+        document.getElementById('calib-start-btn').innerText = message ? 'AGAIN' : 'START';
     }
 
-    // Input Handling
-    getHitTargetIdx(cx, cy) {
-        const rect = this.canvas.getBoundingClientRect();
-        const x = cx - rect.left;
-        const y = cy - rect.top;
-        let closest = -1;
-        let minDist = 70;
-        this.targetPoints.forEach((pt, i) => {
-            const d = Math.sqrt((x - pt.x) ** 2 + (y - pt.y) ** 2);
-            if (d < minDist) { minDist = d; closest = i; }
-        });
-        return closest;
+    getFocusables() {
+        const pause = document.getElementById('pause-screen');
+        const root = pause.classList.contains('active') ? pause : document.querySelector('.screen.active:not(#hud)');
+        if (!root) return [];
+        return [...root.querySelectorAll('button, select, input[type=range], label[for]')]
+            .filter(el => el.offsetParent !== null);
     }
 
-    handleTouchStart(e) {
-        e.preventDefault();
-        for (let i = 0; i < e.changedTouches.length; i++) {
-            const t = e.changedTouches[i];
-            const idx = this.getHitTargetIdx(t.clientX, t.clientY);
-            if (idx !== -1) {
-                this.activeTouches.set(t.identifier, idx);
-                this.checkHit(idx);
-            }
+    setPadFocus(el) {
+        if (this.padFocus) this.padFocus.classList.remove('pad-focus');
+        this.padFocus = el;
+        if (el) {
+            el.classList.add('pad-focus');
+            if (el.scrollIntoView) el.scrollIntoView({ block: 'nearest' });
         }
     }
 
-    handleTouchMove(e) {
-        e.preventDefault();
-        for (let i = 0; i < e.changedTouches.length; i++) {
-            const t = e.changedTouches[i];
-            const idx = this.getHitTargetIdx(t.clientX, t.clientY);
-            const prev = this.activeTouches.get(t.identifier);
-            if (idx !== -1 && idx !== prev) {
-                this.activeTouches.set(t.identifier, idx);
-            } else if (idx === -1) {
-                this.activeTouches.delete(t.identifier);
-            }
+    moveFocus(dir) {
+        const items = this.getFocusables();
+        if (items.length === 0) return;
+        const current = items.includes(this.padFocus) ? this.padFocus : null;
+        if (!current) {
+            this.setPadFocus(items[0]);
+            return;
+        }
+        if ((dir === 'left' || dir === 'right') && current.matches('input[type=range], select')) {
+            this.adjustControl(current, dir === 'right' ? 1 : -1);
+            return;
         }
+
+        // Nearest element in that direction, favouring ones in line with the current one
+        const [dx, dy] = { up: [0, -1], down: [0, 1], left: [-1, 0], right: [1, 0] }[dir];
+        const from = current.getBoundingClientRect();
+        const fx = from.left + from.width / 2, fy = from.top + from.height / 2;
+        let best = null, bestScore = Infinity;
+        items.forEach(el => {
+            if (el === current) return;
+            const r = el.getBoundingClientRect();
+            const x = r.left + r.width / 2 - fx, y = r.top + r.height / 2 - fy;
+            const along = x * dx + y * dy;
+            if (along <= 0) return;
+            const score = along + Math.abs(x * dy - y * dx) * 2;
+            if (score < bestScore) { bestScore = score; best = el; }
+        });
+        if (best) this.setPadFocus(best);
     }
 
-    handleTouchEnd(e) {
-        e.preventDefault();
-        for (let i = 0; i < e.changedTouches.length; i++) {
-            this.activeTouches.delete(e.changedTouches[i].identifier);
+    adjustControl(el, delta) {
+        if (el.tagName === 'SELECT') {
+            el.selectedIndex = Math.max(0, Math.min(el.options.length - 1, el.selectedIndex + delta));
+        } else {
+            if (delta > 0) el.stepUp(); else el.stepDown();
+            el.dispatchEvent(new Event('input', { bubbles: true }));
         }
+        el.dispatchEvent(new Event('change', { bubbles: true }));
     }
 
-    handleMouseDown(e) {
-        const idx = this.getHitTargetIdx(e.clientX, e.clientY);
-        if (idx !== -1) {
-            this.activeTouches.set('mouse', idx);
-            this.checkHit(idx);
+    activateFocus() {
+        const items = this.getFocusables();
+        if (!items.includes(this.padFocus)) {
+            this.setPadFocus(items[0] || null);
+            return;
         }
+        this.padFocus.click();
     }
-    handleMouseMove(e) {
-        const idx = this.getHitTargetIdx(e.clientX, e.clientY);
-        if (idx !== -1 && this.activeTouches.has('mouse')) {
-            this.activeTouches.set('mouse', idx);
-        } else if (idx === -1) {
-            this.activeTouches.delete('mouse');
+
+    padBack() {
+        if (document.getElementById('pause-screen').classList.contains('active')) {
+            this.togglePause();
+            return;
         }
-    }
-    handleMouseUp(e) {
-        this.activeTouches.delete('mouse');
+        const id = PAD_BACK_BUTTONS[this.gameState];
+        if (id) document.getElementById(id).click();
     }
 
     isTargetHeld(idx) {
+        if (this.replay && this.isPlaying) return this.replay.held.has(idx);
+        if (this.autoplay && this.isPlaying) return this.autoplay.held.has(idx);
         for (let val of this.activeTouches.values()) {
             if (val === idx) return true;
         }
         return false;
     }
 
-    checkHit(targetIdx) {
+    checkHit(targetIdx, at = null) {
         if (!this.isPlaying) return;
-        const now = performance.now() - this.startTime;
+        if ((this.replay || this.autoplay) && at === null) return; // Live input does nothing during replays and autoplay
+        const time = at === null ? this.clock.now() : at;
+        this.recordInput(targetIdx, 'press', time);
+        this.heldTargets.add(targetIdx);
+        // Input offset: a press that arrives late because of output/input latency counts as on time
+        const now = time - this.judgeOffset;
 
         let found = null;
         let minDiff = Infinity;
+        let error = 0;
 
         for (let note of this.notes) {
-            if (note.targetIdx === targetIdx && !note.processed) {
+            if (note.targetIdx === targetIdx && !note.processed && !note.isHolding) {
                 const arrTime = note.spawnTime + note.duration;
                 const diff = Math.abs(now - arrTime);
-                if (diff < 180 && diff < minDiff) {
-                    minDiff = diff; found = note;
+                if (diff < this.judgeWindows.GOOD && diff < minDiff) {
+                    minDiff = diff; found = note; error = now - arrTime;
                 }
             }
         }
 
         if (found) {
-            let j = 'MISS';
-            if (minDiff < 60) j = 'PERFECT';
-            else if (minDiff < 120) j = 'GREAT';
-            else j = 'GOOD';
+            const j = RhythmScoring.judge(minDiff, this.judgeWindows);
+            this.logHit(found, j, error);
 
-            found.processed = true;
+            if (found.type === 'hold') {
+                // Head judged now, tail judged on release in updateHolds()
+                found.isHolding = true;
+                found.nextTickTime = found.spawnTime + found.duration + HOLD_TICK_INTERVAL;
+            } else {
+                found.processed = true;
+            }
             this.spawnHitEffect(targetIdx, j);
             this.applyJudgment(j);
+            if (j !== 'PERFECT') this.showTiming(error);
         }
     }
 
+    updateHolds(now) {
+        this.notes.forEach(note => {
+            if (!note.isHolding) return;
+            const endTime = note.spawnTime + note.duration + note.holdDuration;
+
+            // Ticks up to now count even on the frame the release is noticed, so replays tick the same
+            while (note.nextTickTime < endTime && now >= note.nextTickTime) {
+                this.applyHoldTick();
+                note.nextTickTime += HOLD_TICK_INTERVAL;
+            }
+
+            if (now >= endTime) {
+                this.releaseHold(note, endTime); // Held all the way through
+            } else if (!this.isTargetHeld(note.targetIdx)) {
+                this.releaseHold(note, now);
+            }
+        });
+    }
+
+    releaseHold(note, now) {
+        const arrTime = note.spawnTime + note.duration;
+        const remaining = arrTime + note.holdDuration - now;
+        const j = RhythmScoring.judgeRelease(remaining, now - arrTime, note.holdDuration, this.judgeWindows);
+
+        note.isHolding = false;
+        note.processed = true;
+        if (j !== 'MISS') this.spawnHitEffect(note.targetIdx, j);
+        this.logHit(note, j, null, arrTime + note.holdDuration);
+        this.applyJudgment(j);
+    }
+
+    logHit(note, judgment, error = null, time = note.spawnTime + note.duration) {
+        // error: signed press offset (early < 0) after the input offset; null for misses and releases
+        if (!this.isPlaying) return;
+        this.hitLog.push({ time, target: note.targetIdx, judgment, error });
+    }
+
+    applyHoldTick() {
+        this.combo++;
+        this.maxCombo = Math.max(this.combo, this.maxCombo);
+        this.score += RhythmScoring.scoreHoldTick(this.combo);
+        this.updateHUD();
+    }
+
     applyJudgment(j, countStats = true) {
+        if (!this.isPlaying) return; // A failed stage can end the run mid-frame
         this.showJudgment(j);
 
-        let hpChange = 0;
-
         if (j === 'MISS') {
             this.combo = 0;
             if (countStats) this.stats.miss++;
-            hpChange = -10;
         } else {
-            this.playTapSound();
+            this.playHitSound();
             this.combo++;
             this.maxCombo = Math.max(this.combo, this.maxCombo);
-            let score = 500;
-            if (j === 'PERFECT') {
-                score = 1000;
-                if (countStats) this.stats.perfect++;
-                hpChange = 1; // Slight heal
-            }
-            else if (j === 'GREAT') {
-                score = 750;
-                if (countStats) this.stats.great++;
-                hpChange = 0;
-            }
-            else {
-                if (countStats) this.stats.good++;
-                hpChange = -2;
-            }
-            this.score += score + this.combo * 10;
+            if (countStats) this.stats[j.toLowerCase()]++;
+            this.score += RhythmScoring.scoreJudgment(j, this.combo);
         }
 
-        this.currentHP = Math.min(this.maxHP, Math.max(0, this.currentHP + hpChange));
-        // if (this.currentHP <= 0) this.endGame(); // Optional: Fail condition
-
+        const gauge = GAUGE_TYPES[this.gauge];
+        this.currentHP = Math.min(this.maxHP, Math.max(0, this.currentHP + gauge.hp[j]));
         this.updateHUD();
+
+        if (this.currentHP <= 0 && gauge.canFail) {
+            this.failed = true;
+            this.endGame();
+        }
     }
 
     updateHUD() {
+        const hpPct = (this.currentHP / this.maxHP) * 100;
+        document.getElementById('hp-fill').style.width = `${hpPct}%`;
+        document.getElementById('hp-gauge').classList.toggle('danger', hpPct <= HP_DANGER && this.gauge !== 'nofail');
+
         // Update Score Gauge
         const target = (this.analysisData && this.analysisData.perfectScore) ? this.analysisData.perfectScore : this.scoreTarget;
         const scorePct = Math.min(100, (this.score / target) * 100);
@@ -619,10 +2755,22 @@ class GameEngine {
         el.style.animation = 'none';
         el.offsetHeight;
         el.style.animation = null;
+        document.getElementById('judgment-timing').innerText = '';
+    }
+
+    showTiming(error) {
+        // FAST / SLOW under the judgment, for hits that were not PERFECT
+        const el = document.getElementById('judgment-timing');
+        const ms = Math.round(error);
+        el.innerText = `${ms < 0 ? 'FAST' : 'SLOW'} ${ms > 0 ? '+' : ''}${ms}ms`;
+        el.className = ms < 0 ? 'fast' : 'slow';
     }
 
     renderLoop(t) {
         try {
+            this.pollGamepads();
+            this.updateCalibration();
+            this.updateAttract();
             this.update(t);
             this.draw();
             requestAnimationFrame(t => this.renderLoop(t));
@@ -633,34 +2781,57 @@ class GameEngine {
 
     update(t) {
         if (!this.isPlaying || this.isPaused) return;
-        const now = this.video.currentTime * 1000;
-
-        if (this.currentChart && this.currentChart.length > 0) {
-            // Spawn any notes that are due according to the chart
-            while (this.currentChart.length > 0 && now >= this.currentChart[0].time) {
-                const beat = this.currentChart.shift();
-                this.spawnNote(beat.intensity, beat.isSimul);
-            }
+        const now = this.clock.now();
+        const inputNow = now - this.judgeOffset;
+        const drawNow = now + this.settings.visualOffset;
+
+        // Spawn any notes that are due according to the chart
+        const chart = this.currentChart;
+        while (this.chartIndex < this.chartEnd && Math.max(now, drawNow) >= chart[this.chartIndex].time - this.getNoteDuration(chart[this.chartIndex].time)) {
+            this.spawnNote(chart[this.chartIndex++]);
         }
 
+        if (this.replay) this.feedReplay(now);
+        else if (this.autoplay) this.feedAutoplay(inputNow);
+        else this.trackReleases(now);
+        this.updateHolds(inputNow);
+
         this.notes.forEach(note => {
-            if (note.processed) return;
+            if (note.processed || note.isHolding) return;
             const arrTime = note.spawnTime + note.duration;
 
-            if (now > arrTime + 180) {
+            if (inputNow > arrTime + this.judgeWindows.GOOD) {
                 note.processed = true;
+                this.logHit(note, 'MISS');
                 this.applyJudgment('MISS');
+                if (note.type === 'hold') {
+                    // The release is lost with the head
+                    this.logHit(note, 'MISS', null, arrTime + note.holdDuration);
+                    this.applyJudgment('MISS');
+                }
             }
         });
 
         this.notes = this.notes.filter(n => !n.processed || (now - (n.spawnTime + n.duration) < 1000));
 
-        if (this.video.ended) this.endGame();
+        if (this.practice && (inputNow >= this.practice.loopAt || this.video.ended)) this.nextPracticeLoop();
+        else if (this.video.ended) this.endGame();
     }
 
     endGame() {
         this.isPlaying = false;
         this.video.pause();
+        this.setPlaybackRate(1);
+        this.practice = null;
+        // Only full runs go into the history; editor tests and replays do not
+        const counted = !!this.recording && !this.playOptions.startAt && !this.playOptions.returnTo;
+        const settings = this.recording && this.recording.settings;
+        const replayId = this.recording ? this.saveReplay() : Promise.resolve(null);
+        const autoplayed = !!this.autoplay;
+        this.replay = null;
+        this.autoplay = null;
+        document.getElementById('replay-badge').classList.remove('visible');
+        document.getElementById('watch-replay-btn').style.display = this.lastReplay ? '' : 'none';
         this.video.classList.remove('visible');
         if (this.currentFile) {
             document.getElementById('res-song-title').innerText = this.currentFile.name;
@@ -678,31 +2849,536 @@ class GameEngine {
         const target = (this.analysisData && this.analysisData.perfectScore) ? this.analysisData.perfectScore : 500000;
         const ratio = this.score / target;
 
-        let rank = 'C';
-        if (ratio >= 0.90) rank = 'SS';
-        else if (ratio >= 0.80) rank = 'S';
-        else if (ratio >= 0.70) rank = 'A';
-        else if (ratio >= 0.60) rank = 'B';
-
+        // A failed stage is ranked F whatever the score
+        const rank = this.failed ? 'F' : RhythmScoring.getRank(ratio);
+        document.getElementById('res-title').innerText = this.failed ? 'STAGE FAILED' : 'RESULT';
         const rankEl = document.getElementById('res-rank');
         rankEl.innerText = rank;
 
-        let rankColor = '#9E9E9E';
-        if (rank === 'SS') rankColor = '#00f2ff'; // Cyan-Glow
-        else if (rank === 'S') rankColor = '#FFD700'; // Gold
-        else if (rank === 'A') rankColor = '#E91E63'; // Pink
-        else if (rank === 'B') rankColor = '#2196F3'; // Blue
-
+        const rankColor = this.getRankColor(rank);
         rankEl.style.color = rankColor;
         rankEl.style.textShadow = `0 0 30px ${rankColor}`;
 
+        document.getElementById('res-mods').innerText = [...this.getModifierLabels(this.modifiers), this.getJudgeLabel({ judge: this.judge, judgeWindows: this.judgeWindows })]
+            .filter(Boolean).join(' · ');
+
+        const bestEl = document.getElementById('res-best');
+        bestEl.innerText = 'BEST --';
+        bestEl.classList.remove('new');
+        if (counted) this.saveRun({ rank, ratio, settings, failed: this.failed }, replayId);
+        else if (autoplayed && !this.playOptions.demo) {
+            // Autoplay should land exactly on the chart's perfect score
+            bestEl.innerText = this.score === target ? 'AUTOPLAY · PERFECT SCORE' : `AUTOPLAY · ${this.score} / ${target}`;
+        }
+        else this.showPersonalBest();
+
+        if (this.playOptions.demo) {
+            this.switchScreen('menu');
+            return;
+        }
+
+        // Test runs from the editor go straight back to it
+        if (this.playOptions.returnTo === 'editor') {
+            this.editor.resume();
+            return;
+        }
         this.switchScreen('result');
+        this.renderTimingStats();
+    }
+
+    // --- Result screen timing breakdown, from hitLog ---
+
+    renderTimingStats() {
+        const summary = RhythmScoring.summarizeHits(this.hitLog, this.numTargets);
+        const signed = v => `${v > 0 ? '+' : ''}${v.toFixed(1)}`;
+        document.getElementById('res-timing').innerText = summary.errors.length
+            ? `MEAN ${signed(summary.mean)} MS · SD ${summary.sd.toFixed(1)} MS` : 'NO HITS';
+        document.getElementById('res-early-late').innerText = `EARLY ${summary.early} · LATE ${summary.late}`;
+
+        // Presses consistently late mean the input offset is too small, and early ones too large
+        const hint = document.getElementById('res-offset-hint');
+        hint.innerText = '';
+        if (summary.errors.length >= OFFSET_HINT_MIN_HITS && Math.abs(summary.mean) >= OFFSET_HINT_MIN_MS) {
+            const [lo, hi] = INPUT_OFFSET_RANGE;
+            const suggested = Math.max(lo, Math.min(hi, Math.round((this.judgeOffset + summary.mean) / 5) * 5));
+            hint.innerText = `${summary.mean > 0 ? 'LATE' : 'EARLY'} ON AVERAGE · TRY INPUT OFFSET ${suggested} MS`;
+        }
+
+        const targets = document.getElementById('res-targets');
+        targets.innerHTML = '';
+        summary.targets.forEach((acc, i) => {
+            const cell = document.createElement('div');
+            cell.className = 'res-target';
+            cell.style.borderColor = this.targetPoints[i] ? this.targetPoints[i].color : 'white';
+            cell.innerText = acc === null ? '--' : `${Math.round(acc * 100)}%`;
+            targets.appendChild(cell);
+        });
+
+        this.drawHitHistogram(summary);
+        this.drawMissTimeline(summary.misses);
+    }
+
+    drawHitHistogram(summary) {
+        const canvas = document.getElementById('res-histogram');
+        const ctx = canvas.getContext('2d');
+        const w = canvas.width, h = canvas.height;
+        const windows = this.judgeWindows;
+        const range = windows.GOOD;
+        const bins = new Array(Math.ceil(range * 2 / HIT_HISTOGRAM_BIN)).fill(0);
+        summary.errors.forEach(e => {
+            const i = Math.floor((e + range) / HIT_HISTOGRAM_BIN);
+            bins[Math.max(0, Math.min(bins.length - 1, i))]++;
+        });
+        const peak = Math.max(1, ...bins);
+        const barW = w / bins.length;
+        const xOf = ms => (ms + range) / (range * 2) * w;
+
+        ctx.clearRect(0, 0, w, h);
+        bins.forEach((count, i) => {
+            if (!count) return;
+            const center = (i + 0.5) * HIT_HISTOGRAM_BIN - range;
+            const barH = count / peak * (h - 14);
+            ctx.fillStyle = JUDGMENT_COLORS[RhythmScoring.judge(center, windows) || 'GOOD'];
+            ctx.fillRect(i * barW + 1, h - 12 - barH, barW - 2, barH);
+        });
+
+        // Zero line, mean line and the edges of each window
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.fillRect(xOf(0), 0, 1, h - 12);
+        if (summary.errors.length) {
+            ctx.fillStyle = '#ff4081';
+            ctx.fillRect(xOf(Math.max(-range, Math.min(range, summary.mean))) - 1, 0, 2, h - 12);
+        }
+        ctx.font = '9px Orbitron, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'bottom';
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.fillText('EARLY', w * 0.12, h);
+        ctx.fillText('0', xOf(0), h);
+        ctx.fillText('LATE', w * 0.88, h);
+        [windows.PERFECT, windows.GREAT].forEach(win => {
+            ctx.fillRect(xOf(-win), h - 12, 1, 4);
+            ctx.fillRect(xOf(win), h - 12, 1, 4);
+        });
+    }
+
+    drawMissTimeline(misses) {
+        const canvas = document.getElementById('res-miss-timeline');
+        const ctx = canvas.getContext('2d');
+        const w = canvas.width, h = canvas.height;
+        const chart = this.analysisData ? this.analysisData.noteChart : [];
+        const last = chart.length ? chart[chart.length - 1].time + (chart[chart.length - 1].hold || 0) : 0;
+        const songMs = Math.max(last, (this.analysisData && this.analysisData.duration || 0) * 1000, 1);
+
+        ctx.clearRect(0, 0, w, h);
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.1)';
+        ctx.fillRect(0, 0, w, h);
+        // Where the notes were, faintly, so a cluster of misses can be told from a dense section
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.25)';
+        chart.forEach(b => ctx.fillRect(b.time / songMs * w, h * 0.6, 1, h * 0.4));
+        ctx.fillStyle = JUDGMENT_COLORS.MISS;
+        misses.forEach(t => ctx.fillRect(Math.min(w - 2, t / songMs * w), 0, 2, h));
+    }
+
+    getRankColor(rank) {
+        if (rank === 'SS') return '#00f2ff'; // Cyan-Glow
+        if (rank === 'S') return '#FFD700'; // Gold
+        if (rank === 'A') return '#E91E63'; // Pink
+        if (rank === 'B') return '#2196F3'; // Blue
+        if (rank === 'F') return '#F44336'; // Failed
+        return '#9E9E9E';
+    }
+
+    // --- Play history: one entry per finished run, personal bests per song + chart ---
+
+    async saveRun({ rank, ratio, settings, failed }, replayId) {
+        const songKey = await this.getFingerprint();
+        const chartId = this.getChartId();
+        const entry = {
+            songKey,
+            chartId,
+            fileName: this.currentFile ? this.currentFile.name : null,
+            score: this.score,
+            rank,
+            ratio,
+            stats: { ...this.stats },
+            maxCombo: this.maxCombo,
+            settings,
+            failed,
+            date: Date.now()
+        };
+        try {
+            const prevBest = await this.getPersonalBest(songKey, chartId);
+            entry.replayId = await replayId;
+            await this.store.put('scores', entry);
+            this.showPersonalBest(prevBest, entry);
+        } catch (e) {
+            this.log("Score save failed: " + e.message);
+        }
+    }
+
+    async getPersonalBest(songKey, chartId) {
+        const runs = await this.store.getAllByIndex('scores', 'songKey', songKey);
+        return runs.filter(r => r.chartId === chartId && !r.failed).reduce((best, r) => (!best || r.score > best.score) ? r : best, null);
+    }
+
+    async showPersonalBest(prevBest, entry = null) {
+        const el = document.getElementById('res-best');
+        try {
+            if (prevBest === undefined) {
+                const songKey = await this.getFingerprint();
+                prevBest = songKey ? await this.getPersonalBest(songKey, this.getChartId()) : null;
+            }
+        } catch (e) {
+            this.log("Best lookup failed: " + e.message);
+            return;
+        }
+        if (entry && !entry.failed && (!prevBest || entry.score > prevBest.score)) {
+            el.innerText = prevBest ? `NEW BEST! +${entry.score - prevBest.score}` : 'NEW BEST!';
+            el.classList.add('new');
+        } else if (prevBest) {
+            el.innerText = `BEST ${prevBest.score} (${prevBest.rank})`;
+        }
+    }
+
+    async renderHistory() {
+        const list = document.getElementById('history-list');
+        let runs;
+        try {
+            runs = await this.store.getAll('scores');
+        } catch (e) {
+            list.innerHTML = '<div class="history-empty">History unavailable</div>';
+            return;
+        }
+
+        const total = runs.length;
+        const scope = document.getElementById('history-scope').value;
+        const query = document.getElementById('history-search').value.trim().toLowerCase();
+        if (scope === 'song') {
+            const songKey = this.currentFile ? await this.getFingerprint() : null;
+            runs = runs.filter(r => r.songKey === songKey);
+        } else if (scope === 'best') {
+            const bests = new Map();
+            runs.forEach(r => {
+                const key = r.songKey + '|' + r.chartId;
+                if (r.failed) return;
+                if (!bests.has(key) || r.score > bests.get(key).score) bests.set(key, r);
+            });
+            runs = [...bests.values()];
+        }
+        if (query) runs = runs.filter(r => (r.fileName || '').toLowerCase().includes(query));
+
+        const sorters = {
+            date: (a, b) => b.date - a.date,
+            oldest: (a, b) => a.date - b.date,
+            score: (a, b) => b.score - a.score,
+            rank: (a, b) => b.ratio - a.ratio,
+            combo: (a, b) => b.maxCombo - a.maxCombo
+        };
+        runs.sort(sorters[document.getElementById('history-sort').value] || sorters.date);
+
+        list.innerHTML = '';
+        if (runs.length === 0) {
+            list.innerHTML = `<div class="history-empty">${total ? 'No matching runs' : 'No runs yet'}</div>`;
+            return;
+        }
+        runs.forEach(r => {
+            const row = document.createElement('div');
+            row.className = 'history-row';
+            const rank = document.createElement('span');
+            rank.className = 'history-rank';
+            rank.innerText = r.rank;
+            rank.style.color = this.getRankColor(r.rank);
+
+            const song = document.createElement('div');
+            song.className = 'history-song';
+            const name = document.createElement('span');
+            name.innerText = r.fileName || 'Unknown song';
+            const meta = document.createElement('span');
+            meta.className = 'history-meta';
+            const s = r.stats;
+            const level = r.settings && DIFFICULTIES[r.settings.difficulty];
+            const gauge = r.settings && r.settings.gauge && r.settings.gauge !== 'normal' ? ` · ${GAUGE_TYPES[r.settings.gauge].label}` : '';
+            const speed = r.settings && r.settings.noteSpeed ? ` · ${r.settings.noteSpeed}s` : '';
+            const mods = [...this.getModifierLabels(r.settings && r.settings.modifiers), this.getJudgeLabel(r.settings)]
+                .filter(Boolean).map(m => ` · ${m}`).join('');
+            meta.innerText = `${level ? level.label + ' · ' : ''}${new Date(r.date).toLocaleString()} · ${s.perfect}/${s.great}/${s.good}/${s.miss}${speed}${gauge}${mods}`;
+            song.append(name, meta);
+
+            const score = document.createElement('div');
+            score.className = 'history-score';
+            score.innerText = `${r.score}\n${r.maxCombo} COMBO`;
+            row.append(rank, song, score);
+            list.appendChild(row);
+        });
+    }
+
+    // --- Song library: imported files survive reloads as file handles (or the file itself) ---
+
+    isMediaFile(file) {
+        const ext = file.name.split('.').pop().toLowerCase();
+        return MEDIA_EXTENSIONS.includes(ext);
+    }
+
+    async pickFiles() {
+        if (!window.showOpenFilePicker) {
+            document.getElementById('video-upload').click();
+            return;
+        }
+        try {
+            const handles = await window.showOpenFilePicker({ multiple: true, types: MEDIA_PICKER_TYPES });
+            this.importFiles(await Promise.all(handles.map(async handle => ({ file: await handle.getFile(), handle }))));
+        } catch (e) {
+            if (e.name !== 'AbortError') this.log("File picker failed: " + e.message);
+        }
+    }
+
+    async pickFolder() {
+        if (!window.showDirectoryPicker) {
+            document.getElementById('folder-upload').click();
+            return;
+        }
+        try {
+            const entries = [];
+            const walk = async (dir) => {
+                for await (const handle of dir.values()) {
+                    if (handle.kind === 'directory') await walk(handle);
+                    else if (this.isMediaFile(handle)) entries.push({ file: await handle.getFile(), handle });
+                }
+            };
+            await walk(await window.showDirectoryPicker());
+            this.importFiles(entries);
+        } catch (e) {
+            if (e.name !== 'AbortError') this.log("Folder picker failed: " + e.message);
+        }
+    }
+
+    async importFiles(entries) {
+        entries = entries.filter(e => this.isMediaFile(e.file));
+        const label = document.getElementById('file-name');
+        if (entries.length === 0) {
+            label.innerText = "No playable files found";
+            return;
+        }
+        let first = null;
+        for (let i = 0; i < entries.length; i++) {
+            const { file, handle } = entries[i];
+            label.innerText = `Importing ${i + 1}/${entries.length}: ${file.name}`;
+            try {
+                const readSlice = (start, end) => file.slice(start, end).arrayBuffer().then(b => new Uint8Array(b));
+                const id = await RhythmAnalysis.fingerprint(file.size, readSlice);
+                const prev = await this.store.get('songs', id);
+                const probe = prev && prev.duration ? prev : await this.probeMedia(file);
+                const song = {
+                    id,
+                    name: file.name,
+                    title: file.name.replace(/\.[^.]+$/, ''),
+                    size: file.size,
+                    duration: probe.duration || null,
+                    thumbnail: probe.thumbnail || null,
+                    bpm: prev ? prev.bpm : null,
+                    addedAt: prev ? prev.addedAt : Date.now(),
+                    // Handles stay small and always read the current file; without them the file itself is kept
+                    ...(handle ? { handle } : { blob: file })
+                };
+                await this.store.put('songs', song);
+                if (!first) first = { song, file };
+            } catch (e) {
+                this.log(`Import of ${file.name} failed: ${e.message}`);
+            }
+        }
+        label.innerText = this.currentFile ? this.currentFile.name : "No file selected";
+        await this.renderLibrary();
+        if (first && (entries.length === 1 || !this.currentFile)) this.setCurrentFile(first.file, first.song);
+    }
+
+    probeMedia(file) {
+        // Duration from the metadata, thumbnail from a frame a fifth of the way in
+        return new Promise(resolve => {
+            const video = document.createElement('video');
+            const url = URL.createObjectURL(file);
+            const result = { duration: null, thumbnail: null };
+            const done = () => {
+                clearTimeout(timer);
+                video.removeAttribute('src');
+                video.load();
+                URL.revokeObjectURL(url);
+                resolve(result);
+            };
+            const timer = setTimeout(done, THUMB_TIMEOUT_MS);
+            video.muted = true;
+            video.playsInline = true;
+            video.preload = 'metadata';
+            video.onloadedmetadata = () => {
+                if (Number.isFinite(video.duration)) result.duration = video.duration;
+                if (!video.videoWidth) { done(); return; } // Audio only
+                video.currentTime = Math.min(30, (result.duration || 0) * 0.2);
+            };
+            video.onseeked = () => {
+                try {
+                    const canvas = document.createElement('canvas');
+                    canvas.width = THUMB_WIDTH;
+                    canvas.height = THUMB_HEIGHT;
+                    // Cover-crop the frame into the 16:9 thumbnail
+                    const scale = Math.max(THUMB_WIDTH / video.videoWidth, THUMB_HEIGHT / video.videoHeight);
+                    const w = video.videoWidth * scale, h = video.videoHeight * scale;
+                    canvas.getContext('2d').drawImage(video, (THUMB_WIDTH - w) / 2, (THUMB_HEIGHT - h) / 2, w, h);
+                    result.thumbnail = canvas.toDataURL('image/jpeg', 0.7);
+                } catch (e) {
+                    this.log("Thumbnail failed: " + e.message);
+                }
+                done();
+            };
+            video.onerror = done;
+            video.src = url;
+        });
+    }
+
+    async openLibrarySong(song) {
+        if (!song.handle) return song.blob instanceof File ? song.blob : new File([song.blob], song.name);
+        // Stored handles need read permission again after a reload; asking needs the click we are in
+        let permission = await song.handle.queryPermission({ mode: 'read' });
+        if (permission !== 'granted') permission = await song.handle.requestPermission({ mode: 'read' });
+        if (permission !== 'granted') throw new Error("permission denied");
+        return song.handle.getFile();
+    }
+
+    async selectLibrarySong(song) {
+        let file;
+        try {
+            file = await this.openLibrarySong(song);
+        } catch (e) {
+            alert(`Could not open "${song.name}": ${e.message}\nImport it again if it was moved or deleted.`);
+            return;
+        }
+        this.setCurrentFile(file, song);
+        this.renderLibrary();
+    }
+
+    setCurrentFile(file, song = null) {
+        this.currentFile = file;
+        // The library already knows the fingerprint; a file that changed on disk gets a new one
+        this.currentFingerprint = song && file.size === song.size && !song.handle ? { file, value: song.id } : null;
+        document.getElementById('file-name').innerText = file.name;
+        document.querySelector('.song-name').innerText = song ? song.title : file.name;
+        document.getElementById('song-bpm').innerText = 'BPM --';
+        this.video.src = URL.createObjectURL(file);
+        this.video.load();
+        this.analyzeAudio(file);
+    }
+
+    async updateLibrarySong(fingerprint) {
+        // Analysis found the BPM; keep it (and the chart status) in the library
+        try {
+            const song = await this.store.get('songs', fingerprint);
+            if (song) {
+                const tempo = this.analysisData && this.analysisData.tempo;
+                song.bpm = tempo ? Math.round(tempo.bpm) : song.bpm;
+                if (!song.duration && this.analysisData && this.analysisData.duration) song.duration = this.analysisData.duration;
+                await this.store.put('songs', song);
+            }
+        } catch (e) {
+            this.log("Library update failed: " + e.message);
+        }
+        this.renderLibrary();
+    }
+
+    async removeLibrarySong(song) {
+        try {
+            await this.store.delete('songs', song.id);
+        } catch (e) {
+            this.log("Library delete failed: " + e.message);
+        }
+        this.renderLibrary();
+    }
+
+    async renderLibrary() {
+        const list = document.getElementById('library-list');
+        let songs, charts, runs;
+        try {
+            [songs, charts, runs] = await Promise.all(['songs', 'charts', 'scores'].map(name => this.store.getAll(name)));
+        } catch (e) {
+            list.innerHTML = '<div class="history-empty">Library unavailable</div>';
+            return;
+        }
+
+        const total = songs.length;
+        const chartKeys = new Set(charts.map(c => c.key));
+        const settings = this.readAnalysisSettings();
+        const bests = new Map();
+        runs.forEach(r => {
+            if (r.failed) return;
+            if (!bests.has(r.songKey) || r.ratio > bests.get(r.songKey).ratio) bests.set(r.songKey, r);
+        });
+
+        const query = document.getElementById('library-search').value.trim().toLowerCase();
+        if (query) songs = songs.filter(s => s.title.toLowerCase().includes(query));
+        const bestRatio = s => bests.has(s.id) ? bests.get(s.id).ratio : -1;
+        const sorters = {
+            added: (a, b) => b.addedAt - a.addedAt,
+            title: (a, b) => a.title.localeCompare(b.title),
+            duration: (a, b) => (a.duration || 0) - (b.duration || 0),
+            bpm: (a, b) => (b.bpm || 0) - (a.bpm || 0),
+            rank: (a, b) => bestRatio(b) - bestRatio(a)
+        };
+        songs.sort(sorters[document.getElementById('library-sort').value] || sorters.added);
+
+        const current = this.currentFingerprint && this.currentFingerprint.file === this.currentFile ? this.currentFingerprint.value : null;
+        list.innerHTML = '';
+        if (songs.length === 0) {
+            list.innerHTML = `<div class="history-empty">${total ? 'No matching songs' : 'Import songs to build your library'}</div>`;
+            return;
+        }
+        songs.forEach(song => {
+            const row = document.createElement('div');
+            row.className = 'library-row' + (song.id === current ? ' active' : '');
+
+            const thumb = document.createElement('div');
+            thumb.className = 'library-thumb';
+            if (song.thumbnail) thumb.style.backgroundImage = `url(${song.thumbnail})`;
+            else thumb.innerText = '♪';
+
+            const info = document.createElement('div');
+            info.className = 'history-song';
+            const title = document.createElement('span');
+            title.innerText = song.title;
+            const meta = document.createElement('span');
+            meta.className = 'history-meta';
+            const duration = song.duration ? `${Math.floor(song.duration / 60)}:${String(Math.floor(song.duration % 60)).padStart(2, '0')}` : '-:--';
+            const charted = chartKeys.has(this.getCacheKey(song.id, settings));
+            meta.innerText = `${duration} · ${song.bpm ? 'BPM ' + song.bpm : 'BPM --'} · ${charted ? 'CHART READY' : 'NOT ANALYZED'}`;
+            info.append(title, meta);
+
+            const best = bests.get(song.id);
+            const rank = document.createElement('span');
+            rank.className = 'history-rank';
+            rank.innerText = best ? best.rank : '-';
+            if (best) rank.style.color = this.getRankColor(best.rank);
+
+            const remove = document.createElement('button');
+            remove.className = 'library-remove';
+            remove.innerText = '✕';
+            remove.title = 'Remove from library';
+            remove.onclick = (e) => {
+                e.stopPropagation();
+                this.removeLibrarySong(song);
+            };
+
+            row.append(thumb, info, rank, remove);
+            row.onclick = () => this.selectLibrarySong(song);
+            list.appendChild(row);
+        });
     }
 
     draw() {
         try {
             const { ctx, canvas } = this;
             ctx.clearRect(0, 0, canvas.width, canvas.height);
+            if (this.gameState === 'editor') {
+                this.editor.draw();
+                return;
+            }
+            if (this.isPlaying && !this.hasVideo) this.drawVisualizer();
             const centerX = canvas.width / 2;
             const centerY = canvas.height * 0.2;
 
@@ -716,10 +3392,21 @@ class GameEngine {
                 ctx.arc(pt.x, pt.y, 35, 0, Math.PI * 2);
                 ctx.fillStyle = this.isTargetHeld(idx) ? pt.color + '88' : pt.color + '33';
                 ctx.fill();
+
+                if (this.lastInput === 'keyboard' || this.lastInput === 'gamepad') {
+                    ctx.font = 'bold 18px Orbitron, sans-serif';
+                    ctx.textAlign = 'center';
+                    ctx.textBaseline = 'middle';
+                    ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+                    const label = this.lastInput === 'keyboard'
+                        ? this.keyLabel(this.settings.keyBindings[idx])
+                        : this.padLabel(this.settings.padBindings[idx].slice(0, 1));
+                    ctx.fillText(label, pt.x, pt.y);
+                }
             });
 
             if (this.isPlaying) {
-                const now = performance.now() - this.startTime;
+                const now = this.clock.now();
 
                 // Group simultaneous notes
                 const simulGroups = {};
@@ -756,7 +3443,7 @@ class GameEngine {
                         ctx.arc(centerX, centerY, r, startAng, endAng);
                         ctx.lineWidth = 8;
                         ctx.strokeStyle = grad;
-                        ctx.globalAlpha = 0.6;
+                        ctx.globalAlpha = 0.6 * this.getNoteAlpha(pos1.progress);
                         ctx.shadowBlur = 10;
                         ctx.shadowColor = 'white';
                         ctx.stroke();
@@ -764,7 +3451,11 @@ class GameEngine {
                     }
                 });
 
-                // Draw Notes
+                // Draw Notes (hold tails underneath all heads)
+                this.notes.forEach(note => {
+                    if (note.processed || note.type !== 'hold') return;
+                    this.drawHoldTail(note, now, centerX, centerY);
+                });
                 this.notes.forEach(note => {
                     if (note.processed) return;
                     this.drawHead(note, now, centerX, centerY);
@@ -780,8 +3471,10 @@ class GameEngine {
     }
 
     getNotePos(note, now, cx, cy) {
-        const elapsed = now - note.spawnTime;
-        const prog = elapsed / note.duration;
+        // Visual offset: draw ahead of the clock when the display lags the audio
+        const elapsed = now + this.settings.visualOffset - note.spawnTime;
+        let prog = elapsed / note.duration;
+        if (note.isHolding) prog = 1; // Head stays on the target while held
         const target = this.targetPoints[note.targetIdx];
         const x = cx + (target.x - cx) * prog;
         const y = cy + (target.y - cy) * prog;
@@ -793,13 +3486,15 @@ class GameEngine {
         const target = this.targetPoints[note.targetIdx];
         pos = this.getNotePos(note, now, cx, cy);
 
-        const elapsed = now - note.spawnTime;
-        const prog = elapsed / note.duration;
+        const prog = pos.progress;
         if (prog > 1.2) return;
+        const alpha = this.getNoteAlpha(prog);
+        if (alpha <= 0) return;
 
         // Enhanced Glow (Screen Blend + High Blur)
         this.ctx.save();
         this.ctx.globalCompositeOperation = 'screen';
+        this.ctx.globalAlpha = alpha;
 
         this.ctx.beginPath();
         this.ctx.arc(pos.x, pos.y, 30, 0, Math.PI * 2);
@@ -816,6 +3511,7 @@ class GameEngine {
         if (note.isSimultaneous) {
             this.ctx.save();
             this.ctx.globalCompositeOperation = 'screen';
+            this.ctx.globalAlpha = alpha;
             this.ctx.beginPath();
             this.ctx.moveTo(pos.x - 20, pos.y);
             this.ctx.lineTo(pos.x + 20, pos.y);
@@ -830,6 +3526,44 @@ class GameEngine {
 
     }
 
+    drawHoldTail(note, now, cx, cy) {
+        const head = this.getNotePos(note, now, cx, cy);
+        if (head.progress > 1.2) return;
+        // The tail end travels the same path, holdDuration behind the head
+        const endProg = Math.max(0, Math.min(1, (now + this.settings.visualOffset - note.spawnTime - note.holdDuration) / note.duration));
+        const target = this.targetPoints[note.targetIdx];
+        const endX = cx + (target.x - cx) * endProg;
+        const endY = cy + (target.y - cy) * endProg;
+
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.globalCompositeOperation = 'screen';
+        ctx.lineCap = 'round';
+        ctx.beginPath();
+        ctx.moveTo(endX, endY);
+        ctx.lineTo(head.x, head.y);
+        ctx.strokeStyle = head.color;
+        // A held tail stays visible so the player can see when to let go
+        const alpha = note.isHolding ? 1 : this.getNoteAlpha(head.progress);
+        ctx.globalAlpha = (note.isHolding ? 0.6 : 0.35) * alpha;
+        ctx.lineWidth = 36;
+        ctx.stroke();
+
+        ctx.globalAlpha = alpha;
+        ctx.beginPath();
+        ctx.arc(endX, endY, 12, 0, Math.PI * 2);
+        ctx.fillStyle = head.color;
+        ctx.fill();
+
+        if (note.isHolding) {
+            ctx.beginPath();
+            ctx.arc(target.x, target.y, 35 + Math.sin(now / 60) * 3, 0, Math.PI * 2);
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.25)';
+            ctx.fill();
+        }
+        ctx.restore();
+    }
+
     spawnHitEffect(targetIdx, judgment) {
         if (targetIdx < 0 || targetIdx >= this.targetPoints.length) return;
         const target = this.targetPoints[targetIdx];
@@ -837,7 +3571,7 @@ class GameEngine {
             x: target.x,
             y: target.y,
             color: target.color,
-            startTime: performance.now() - this.startTime,
+            startTime: this.clock.now(),
             judgment: judgment
         });
         this.spawnParticles(targetIdx, judgment);
@@ -870,6 +3604,38 @@ class GameEngine {
         }
     }
 
+    drawVisualizer() {
+        // Stands in for the video: a glow that pulses with the bass and mirrored spectrum bars
+        if (!this.analyser) return;
+        const { ctx, canvas } = this;
+        if (!this.spectrum) this.spectrum = new Uint8Array(this.analyser.frequencyBinCount);
+        this.analyser.getByteFrequencyData(this.spectrum);
+        const bins = this.spectrum;
+
+        let bass = 0;
+        for (let i = 0; i < VISUALIZER_BASS_BINS; i++) bass += bins[i];
+        bass /= VISUALIZER_BASS_BINS * 255;
+
+        const w = canvas.width, h = canvas.height;
+        const hue = (performance.now() / 50) % 360;
+        const glow = ctx.createRadialGradient(w / 2, h / 2, 0, w / 2, h / 2, Math.max(w, h) * (0.4 + 0.4 * bass));
+        glow.addColorStop(0, `hsla(${hue}, 80%, 55%, ${0.15 + bass * 0.35})`);
+        glow.addColorStop(1, `hsla(${(hue + 60) % 360}, 80%, 30%, 0)`);
+        ctx.fillStyle = glow;
+        ctx.fillRect(0, 0, w, h);
+
+        // The top of the 128 bins is nearly empty for music, so only the lower ones become bars
+        const count = Math.min(VISUALIZER_BARS, bins.length);
+        const barW = w / (count * 2);
+        for (let i = 0; i < count; i++) {
+            const v = bins[i] / 255;
+            const barH = v * h * 0.35;
+            ctx.fillStyle = `hsla(${(hue + i * 4) % 360}, 80%, 60%, ${0.2 + v * 0.4})`;
+            ctx.fillRect(w / 2 + i * barW, h - barH, barW - 2, barH);
+            ctx.fillRect(w / 2 - (i + 1) * barW, h - barH, barW - 2, barH);
+        }
+    }
+
     drawParticles() {
         if (this.particles.length === 0) return;
 
@@ -899,7 +3665,7 @@ class GameEngine {
     }
 
     drawEffects() {
-        const now = performance.now() - this.startTime;
+        const now = this.clock.now();
         // Filter out old effects (500ms duration)
         this.effects = this.effects.filter(fx => (now - fx.startTime) < 500);
 
@@ -929,5 +3695,36 @@ class GameEngine {
         this.ctx.restore();
     }
 }
-window.onload = () => { window.game = new GameEngine(); };
-if ('serviceWorker' in navigator) navigator.serviceWorker.register('./sw.js');
+
+function registerServiceWorker(game) {
+    if (!('serviceWorker' in navigator)) return;
+    // A new version installs in the background and waits (see sw.js) until the player picks RELOAD
+    const showUpdatePrompt = (worker) => {
+        const toast = document.getElementById('update-toast');
+        toast.classList.add('visible');
+        document.getElementById('update-reload-btn').onclick = () => worker.postMessage('SKIP_WAITING');
+        document.getElementById('update-later-btn').onclick = () => toast.classList.remove('visible');
+    };
+    // The first install also takes control of the page, but that one needs no reload
+    const updating = !!navigator.serviceWorker.controller;
+    let reloading = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (!updating || reloading) return;
+        reloading = true;
+        location.reload();
+    });
+    navigator.serviceWorker.register('./sw.js').then(reg => {
+        if (reg.waiting && navigator.serviceWorker.controller) showUpdatePrompt(reg.waiting);
+        reg.addEventListener('updatefound', () => {
+            const worker = reg.installing;
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) showUpdatePrompt(worker);
+            });
+        });
+    }).catch(e => game.log("Service worker registration failed: " + e.message));
+}
+
+window.onload = () => {
+    window.game = new GameEngine();
+    registerServiceWorker(window.game);
+};
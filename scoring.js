@@ -0,0 +1,132 @@
+// Scoring rules shared by the game and the chart CLI. No DOM in here.
+// Loads as a plain <script> (window.RhythmScoring) or through require() in Node.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.RhythmScoring = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // A press this close (ms) to the note's arrival gets the judgment; further off is ignored.
+    // standard is the default; a run can pick another preset or custom windows.
+    const JUDGE_PRESETS = {
+        lenient: { PERFECT: 80, GREAT: 150, GOOD: 220 },
+        standard: { PERFECT: 60, GREAT: 120, GOOD: 180 },
+        strict: { PERFECT: 40, GREAT: 80, GOOD: 120 }
+    };
+    const JUDGE_WINDOWS = JUDGE_PRESETS.standard;
+    const JUDGE_WINDOW_RANGE = [10, 300]; // Limits for custom windows
+    const JUDGMENT_SCORES = { PERFECT: 1000, GREAT: 750, GOOD: 500, MISS: 0 };
+    const COMBO_BONUS = 10; // Each judgment also scores this much per combo it reaches
+
+    const HOLD_TICK_INTERVAL = 200; // Combo tick every 200ms while held
+    const HOLD_TICK_SCORE = 100;
+
+    function checkWindows(windows) {
+        // Custom windows must be whole ms in range and widen from PERFECT to GOOD; null if not
+        if (!windows) return null;
+        const [lo, hi] = JUDGE_WINDOW_RANGE;
+        const values = ['PERFECT', 'GREAT', 'GOOD'].map(k => Math.round(Number(windows[k])));
+        if (values.some(v => !Number.isFinite(v) || v < lo || v > hi)) return null;
+        if (!(values[0] < values[1] && values[1] < values[2])) return null;
+        return { PERFECT: values[0], GREAT: values[1], GOOD: values[2] };
+    }
+
+    function judge(error, windows = JUDGE_WINDOWS) {
+        const diff = Math.abs(error);
+        if (diff < windows.PERFECT) return 'PERFECT';
+        if (diff < windows.GREAT) return 'GREAT';
+        if (diff < windows.GOOD) return 'GOOD';
+        return null;
+    }
+
+    function judgeRelease(remaining, heldFor, holdDuration, windows = JUDGE_WINDOWS) {
+        // Letting go near the end is judged like a press; much earlier only counts past halfway
+        return judge(remaining, windows) || (heldFor >= holdDuration / 2 ? 'GOOD' : 'MISS');
+    }
+
+    function scoreJudgment(judgment, combo) {
+        return judgment === 'MISS' ? 0 : JUDGMENT_SCORES[judgment] + combo * COMBO_BONUS;
+    }
+
+    function scoreHoldTick(combo) {
+        return HOLD_TICK_SCORE + combo * COMBO_BONUS;
+    }
+
+    function countHoldTicks(holdDuration) {
+        // Ticks fall on every interval after the press, strictly before the release
+        return Math.max(0, Math.ceil(holdDuration / HOLD_TICK_INTERVAL) - 1);
+    }
+
+    function countBeatNotes(beat) {
+        return beat.targets ? beat.targets.length : (beat.isSimul ? 2 : 1);
+    }
+
+    function computeChartScore(noteChart) {
+        // An all-PERFECT run scores the base total plus COMBO_BONUS * (1 + 2 + ... + judgments).
+        // Holds add ticks and a release.
+        const totalNotes = noteChart.reduce((acc, b) => acc + countBeatNotes(b), 0);
+        let judgments = totalNotes;
+        let baseScore = totalNotes * JUDGMENT_SCORES.PERFECT;
+        noteChart.forEach(b => {
+            if (!b.hold) return;
+            const lanes = countBeatNotes(b);
+            const ticks = countHoldTicks(b.hold);
+            judgments += lanes * (ticks + 1);
+            baseScore += lanes * (ticks * HOLD_TICK_SCORE + JUDGMENT_SCORES.PERFECT);
+        });
+        const comboBonus = COMBO_BONUS * (judgments * (judgments + 1) / 2);
+        return { totalNotes, perfectScore: baseScore + comboBonus };
+    }
+
+    function summarizeHits(hits, numTargets) {
+        // Timing breakdown of a run. Each hit is { time, target, judgment, error }; error is the signed
+        // press offset in ms (early < 0) and null for misses and hold releases.
+        const errors = hits.filter(h => h.error !== null).map(h => h.error);
+        const mean = errors.length ? errors.reduce((acc, e) => acc + e, 0) / errors.length : 0;
+        const variance = errors.length ? errors.reduce((acc, e) => acc + (e - mean) ** 2, 0) / errors.length : 0;
+        const targets = Array.from({ length: numTargets }, () => ({ judgments: 0, points: 0 }));
+        hits.forEach(h => {
+            const t = targets[h.target];
+            if (!t) return;
+            t.judgments++;
+            t.points += JUDGMENT_SCORES[h.judgment];
+        });
+        return {
+            errors,
+            mean,
+            sd: Math.sqrt(variance),
+            early: errors.filter(e => e < 0).length,
+            late: errors.filter(e => e > 0).length,
+            // Share of the points a target's judgments could have scored (null: nothing to judge there)
+            targets: targets.map(t => t.judgments ? t.points / (t.judgments * JUDGMENT_SCORES.PERFECT) : null),
+            misses: hits.filter(h => h.judgment === 'MISS').map(h => h.time)
+        };
+    }
+
+    function getRank(ratio) {
+        if (ratio >= 0.90) return 'SS';
+        if (ratio >= 0.80) return 'S';
+        if (ratio >= 0.70) return 'A';
+        if (ratio >= 0.60) return 'B';
+        return 'C';
+    }
+
+    return {
+        JUDGE_PRESETS,
+        JUDGE_WINDOWS,
+        JUDGE_WINDOW_RANGE,
+        JUDGMENT_SCORES,
+        COMBO_BONUS,
+        HOLD_TICK_INTERVAL,
+        HOLD_TICK_SCORE,
+        checkWindows,
+        judge,
+        judgeRelease,
+        scoreJudgment,
+        scoreHoldTick,
+        countHoldTicks,
+        computeChartScore,
+        summarizeHits,
+        getRank
+    };
+});
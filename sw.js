@@ -1,23 +1,66 @@
-const CACHE_NAME = 'rhythm-station-v1.0.1';
+// Bump CACHE_VERSION whenever any precached file changes. The new worker installs next to the
+// old one and waits; the page offers a reload, and activation then drops the old caches.
+const CACHE_VERSION = 'v2';
+const CACHE_PREFIX = 'rhythm-station-';
+const CACHE_NAME = CACHE_PREFIX + CACHE_VERSION;
+const FONT_CACHE = CACHE_PREFIX + 'fonts'; // Google Fonts, filled as they load and kept across versions
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
 const ASSETS = [
     './',
     './index.html',
-    './style.css',
-    './manifest.json'
+    './game.js',
+    './scoring.js',
+    './analysis.js',
+    './analysis-worker.js',
+    './manifest.json',
+    './icon.jpg'
 ];
 
 self.addEventListener('install', (event) => {
     event.waitUntil(
-        caches.open(CACHE_NAME).then((cache) => {
-            return cache.addAll(ASSETS);
-        })
+        caches.open(CACHE_NAME).then((cache) => cache.addAll(ASSETS))
+    );
+});
+
+self.addEventListener('message', (event) => {
+    // Sent by the page when the player accepts the update prompt
+    if (event.data === 'SKIP_WAITING') self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then((keys) => Promise.all(keys
+                .filter((key) => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME && key !== FONT_CACHE)
+                .map((key) => caches.delete(key))))
+            .then(() => self.clients.claim())
     );
 });
 
 self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    if (FONT_HOSTS.includes(url.hostname)) {
+        // Serve the stored copy straight away and refresh it in the background
+        event.respondWith(
+            caches.open(FONT_CACHE).then((cache) => cache.match(request).then((cached) => {
+                const fresh = fetch(request).then((response) => {
+                    if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+                    return response;
+                });
+                return cached || fresh;
+            }))
+        );
+        return;
+    }
+    if (url.origin !== self.location.origin) return;
+
+    // App files come from this version's cache, so a page never mixes files from two releases
     event.respondWith(
-        caches.match(event.request).then((response) => {
-            return response || fetch(event.request);
-        })
+        caches.open(CACHE_NAME).then((cache) => cache.match(request, { ignoreSearch: true })
+            .then((cached) => cached || (request.mode === 'navigate' ? cache.match('./index.html') : null))
+            .then((cached) => cached || fetch(request)))
     );
 });
@@ -0,0 +1,55 @@
+// Fixture check of the whole chart pipeline: a generated click track must give the stored charts.
+// Run with: node test/chart-doc.test.js (add --update to rewrite the fixture after an intended change)
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const RhythmAnalysis = require('../analysis.js');
+
+const FIXTURE = path.join(__dirname, 'fixtures', 'click-track.charts.json');
+const SAMPLE_RATE = 22050;
+const SEED = 12345;
+const SETTINGS = { noteSpeed: 1.0, minInterval: 250, quantize: 0 };
+
+function clickTrack() {
+    // 12s at 120 BPM: noise clicks on every beat, accented on the bar, with a held chord every other bar
+    const rng = RhythmAnalysis.mulberry32(1);
+    const samples = new Float32Array(SAMPLE_RATE * 12);
+    for (let beat = 0; beat < 24; beat++) {
+        const start = Math.round((0.5 + beat * 0.5) * SAMPLE_RATE);
+        const gain = beat % 4 === 0 ? 0.9 : 0.4;
+        for (let i = 0; i < 0.05 * SAMPLE_RATE && start + i < samples.length; i++) {
+            samples[start + i] += (rng() * 2 - 1) * gain * Math.exp(-i / (0.01 * SAMPLE_RATE));
+        }
+        if (beat % 8 === 4) {
+            for (let i = 0; i < 1.2 * SAMPLE_RATE && start + i < samples.length; i++) {
+                samples[start + i] += 0.3 * Math.sin(2 * Math.PI * 220 * i / SAMPLE_RATE) + 0.2 * Math.sin(2 * Math.PI * 330 * i / SAMPLE_RATE);
+            }
+        }
+    }
+    return samples;
+}
+
+const result = RhythmAnalysis.analyze([clickTrack()], SAMPLE_RATE, SETTINGS, SEED);
+const charts = {};
+Object.keys(RhythmAnalysis.DIFFICULTIES).forEach(difficulty => {
+    const doc = RhythmAnalysis.buildChartDoc({
+        audio: { fileName: 'click-track.wav', fingerprint: 'fixture', duration: result.duration },
+        tempo: result.tempo,
+        settings: SETTINGS,
+        difficulty,
+        seed: SEED,
+        noteChart: result.difficulties[difficulty].noteChart
+    });
+    delete doc.createdAt;
+    charts[difficulty] = doc;
+});
+
+if (process.argv.includes('--update')) {
+    fs.writeFileSync(FIXTURE, JSON.stringify(charts, null, 2) + '\n');
+    console.log(`updated ${path.relative(process.cwd(), FIXTURE)}`);
+} else {
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(charts)), JSON.parse(fs.readFileSync(FIXTURE, 'utf8')));
+    console.log(`ok - chart docs match ${path.basename(FIXTURE)}`);
+}
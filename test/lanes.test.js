@@ -0,0 +1,38 @@
+// Seeded check of assignLanes(): no target is hit more than PATTERN_MAX_REPEAT beats in a row.
+// Run with: node test/lanes.test.js
+'use strict';
+
+const assert = require('assert');
+const RhythmAnalysis = require('../analysis.js');
+const { DIFFICULTIES, PATTERN_MAX_REPEAT, mulberry32, buildNoteChart, assignLanes } = RhythmAnalysis;
+
+const SEEDS = 200;
+const BEATS = 300;
+
+function syntheticOnsets(rng) {
+    // Quarter to sixteenth-note spacing with the odd pause, and loud beats mixed in
+    const onsets = [];
+    for (let i = 0, time = 2000; i < BEATS; i++) {
+        time += rng() < 0.05 ? 1500 : 125 * (1 + Math.floor(rng() * 4));
+        onsets.push({ time, intensity: 0.5 + rng() * 2, hold: 0 });
+    }
+    return onsets;
+}
+
+for (const [name, level] of Object.entries(DIFFICULTIES)) {
+    for (let seed = 0; seed < SEEDS; seed++) {
+        const onsets = syntheticOnsets(mulberry32(seed + 1));
+        const noteChart = assignLanes(buildNoteChart(onsets, Infinity, 1000, level, seed), seed, level.spread);
+        let run = new Map();
+        noteChart.forEach((beat, i) => {
+            const next = new Map();
+            beat.targets.forEach(t => next.set(t, (run.get(t) || 0) + 1));
+            next.forEach((count, target) => {
+                assert.ok(count <= PATTERN_MAX_REPEAT,
+                    `${name}, seed ${seed}: target ${target} repeats ${count} times up to beat ${i}`);
+            });
+            run = next;
+        });
+    }
+}
+console.log(`ok - lanes repeat at most ${PATTERN_MAX_REPEAT} times (${Object.keys(DIFFICULTIES).length} difficulties x ${SEEDS} seeds)`);